@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool for question banks, built on the same rules as the web app (quiz-core.js).
+ *
+ *   node cli.js validate <questions> [answers]       Report problems; exits with 1 if any are found
+ *   node cli.js convert <questions> [answers] [--to json|text] [--out file]
+ *   node cli.js stats <questions> [answers]          Counts by type and answer letter distribution
+ *   node cli.js quiz <questions> [answers] [--shuffle]
+ *
+ * <questions> is a text file in the README format, a combined "Part 1 / Part 2" file (answers optional)
+ * or a JSON bank written by `convert`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const QuizCore = require('./quiz-core.js');
+
+const USAGE = `Usage:
+  node cli.js validate <questions> [answers]
+  node cli.js convert <questions> [answers] [--to json|text] [--out file]
+  node cli.js stats <questions> [answers]
+  node cli.js quiz <questions> [answers] [--shuffle]`;
+
+// Thrown for bad arguments and unreadable input; reported without a stack trace
+class CliError extends Error { }
+
+// --- Arguments ---
+
+function parseArgs(argv) {
+    const args = { positional: [], flags: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args.positional.push(arg);
+            continue;
+        }
+        const [name, inlineValue] = arg.slice(2).split('=');
+        if (inlineValue !== undefined) {
+            args.flags[name] = inlineValue;
+        } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+            args.flags[name] = argv[++i];
+        } else {
+            args.flags[name] = true;
+        }
+    }
+    return args;
+}
+
+// --- Loading ---
+
+function readText(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new CliError(`Cannot read ${file}: ${err.code || err.message}`);
+    }
+}
+
+/**
+ * Loads a bank from a JSON file, a combined text file, or a questions/answers pair.
+ * @returns {{questions: Array, answerEntries: Array}} Questions are matched with their answers.
+ */
+function loadBank(questionsFile, answersFile) {
+    if (!questionsFile) throw new CliError(USAGE);
+
+    const text = readText(questionsFile);
+    const source = path.basename(questionsFile);
+
+    if (path.extname(questionsFile).toLowerCase() === '.json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new CliError(`${source} is not valid JSON: ${err.message}`);
+        }
+        const questions = Array.isArray(data) ? data : data.questions;
+        if (!Array.isArray(questions)) throw new CliError(`${source} has no "questions" array`);
+
+        // Questions without correctKeys have no answer, as in the text format
+        const answerEntries = questions
+            .filter(q => (q.correctKeys || []).length > 0)
+            .map(q => ({ id: String(q.id), correctKeys: q.correctKeys, explanation: q.explanation || '', source }));
+        const answersMap = QuizCore.buildAnswersMap(answerEntries);
+        questions.forEach(q => {
+            q.id = String(q.id);
+            // Hand-written banks may spell the type in lower case; anything but the two types is a mistake
+            const type = q.type ? String(q.type).toUpperCase() : null;
+            if (type && type !== 'SINGLE' && type !== 'MULTIPLE') {
+                throw new CliError(`${source}: question ${q.id} has type "${q.type}" (use single or multiple)`);
+            }
+            q.explicitType = type;
+            q.choices = q.choices || [];
+            q.source = source;
+            q.rawLine = null;
+            QuizCore.matchAnswer(q, answersMap.get(q.id));
+        });
+        return { questions, answerEntries };
+    }
+
+    let questions;
+    let answerEntries;
+    const parts = answersFile ? null : QuizCore.splitCombinedText(text);
+    if (parts) {
+        questions = QuizCore.parseQuestionsText(parts.questionsText, { source, firstLine: parts.questionsLine });
+        answerEntries = QuizCore.parseAnswersList(parts.answersText, { source, firstLine: parts.answersLine });
+    } else if (answersFile) {
+        questions = QuizCore.parseQuestionsText(text, { source });
+        answerEntries = QuizCore.parseAnswersList(readText(answersFile), { source: path.basename(answersFile) });
+    } else {
+        throw new CliError(`${source} has no answer key. Pass an answers file as well.`);
+    }
+
+    const answersMap = QuizCore.buildAnswersMap(answerEntries);
+    questions.forEach(q => QuizCore.matchAnswer(q, answersMap.get(q.id)));
+    return { questions, answerEntries };
+}
+
+// --- Commands ---
+
+function validate(args) {
+    const [questionsFile, answersFile] = args.positional;
+    const { questions, answerEntries } = loadBank(questionsFile, answersFile);
+    const issues = QuizCore.validateBank(questions, answerEntries);
+
+    issues.forEach(issue => console.log(`${QuizCore.formatLocation(issue.source, issue.line)}  ${issue.message}`));
+    console.log(`${questions.length} question(s), ${answerEntries.length} answer(s), ${issues.length} problem(s).`);
+    return issues.length > 0 ? 1 : 0;
+}
+
+function convert(args) {
+    const [questionsFile, answersFile] = args.positional;
+    const { questions } = loadBank(questionsFile, answersFile);
+    const isJsonInput = path.extname(questionsFile).toLowerCase() === '.json';
+    const to = args.flags.to || (isJsonInput ? 'text' : 'json');
+
+    let output;
+    if (to === 'json') {
+        const bank = questions.map(q => ({
+            id: q.number || q.id,
+            type: q.type,
+            weight: q.weight || 1,
+            tags: q.tags || [],
+            text: QuizCore.questionStem(q),
+            choices: q.choices,
+            correctKeys: q.correctKeys,
+            explanation: q.status === 'ungraded' ? '' : q.explanation
+        }));
+        output = JSON.stringify({ questions: bank }, null, 2) + '\n';
+    } else if (to === 'text') {
+        output = `Part 1 - Questions\n\n${QuizCore.formatQuestionsText(questions)}\nPart 2 - Answers\n\n${QuizCore.formatAnswersText(questions)}`;
+    } else {
+        throw new CliError(`Unknown --to format "${to}". Use json or text.`);
+    }
+
+    if (typeof args.flags.out === 'string') {
+        fs.writeFileSync(args.flags.out, output);
+        console.error(`Wrote ${questions.length} question(s) to ${args.flags.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+    return 0;
+}
+
+function stats(args) {
+    const [questionsFile, answersFile] = args.positional;
+    const { questions } = loadBank(questionsFile, answersFile);
+
+    const byType = { SINGLE: 0, MULTIPLE: 0 };
+    const letters = new Map();
+    let points = 0;
+    let choiceCount = 0;
+    let ungraded = 0;
+
+    questions.forEach(q => {
+        byType[q.type] = (byType[q.type] || 0) + 1;
+        points += q.weight || 1;
+        choiceCount += q.choices.length;
+        if (q.status === 'ungraded') ungraded++;
+        q.correctKeys.forEach(key => letters.set(key, (letters.get(key) || 0) + 1));
+    });
+
+    const totalKeys = Array.from(letters.values()).reduce((sum, n) => sum + n, 0);
+    const average = questions.length > 0 ? (choiceCount / questions.length).toFixed(1) : '0';
+
+    console.log(`Questions: ${questions.length} (Single ${byType.SINGLE}, Multiple ${byType.MULTIPLE})`);
+    console.log(`Points:    ${points}`);
+    console.log(`Choices:   ${average} per question on average`);
+    if (ungraded > 0) console.log(`No answer: ${ungraded}`);
+    console.log('Correct answer letters:');
+    Array.from(letters.keys()).sort().forEach(key => {
+        const count = letters.get(key);
+        const percent = Math.round((count / totalKeys) * 100);
+        console.log(`  ${key}  ${String(count).padStart(4)}  ${String(percent).padStart(3)}%  ${'#'.repeat(Math.round(percent / 2))}`);
+    });
+    return 0;
+}
+
+// Answers are typed in one go, so a question is graded on the exact set of letters (like exam mode)
+async function quiz(args) {
+    const [questionsFile, answersFile] = args.positional;
+    const { questions } = loadBank(questionsFile, answersFile);
+    const playable = questions.filter(q => q.status !== 'ungraded');
+    if (playable.length === 0) throw new CliError('No questions with an answer key to quiz on.');
+
+    if (args.flags.shuffle) {
+        for (let i = playable.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [playable[i], playable[j]] = [playable[j], playable[i]];
+        }
+    }
+
+    // Read lines through the iterator so piped input isn't dropped between prompts
+    const rl = readline.createInterface({ input: process.stdin });
+    const lines = rl[Symbol.asyncIterator]();
+    const ask = async (prompt) => {
+        process.stdout.write(prompt);
+        const next = await lines.next();
+        return next.done ? 'q' : next.value;
+    };
+    const settings = { scoringPolicy: 'all-or-nothing', negativeMarking: 0 };
+    let correct = 0;
+    let answered = 0;
+    let earned = 0;
+    let maxPoints = 0;
+
+    try {
+        for (let i = 0; i < playable.length; i++) {
+            const q = playable[i];
+            const hint = q.type === 'MULTIPLE' ? 'letters separated by commas' : 'one letter';
+            console.log(`\n[${i + 1}/${playable.length}] ${QuizCore.questionLabel(q)} (${q.type === 'MULTIPLE' ? 'Multiple' : 'Single'} Choice)`);
+            console.log(QuizCore.questionStem(q));
+            q.choices.forEach(c => console.log(`  ${c.key}. ${c.text}`));
+
+            const input = (await ask(`Answer (${hint}, Enter to skip, q to quit): `)).trim().toUpperCase();
+            if (input === 'Q') break;
+            if (!input) continue;
+
+            const selected = Array.from(new Set(input.split(/[\s,]+/).filter(Boolean)));
+            const result = QuizCore.gradeSelection(q, selected);
+            answered++;
+            maxPoints += q.weight || 1;
+            earned += QuizCore.scoreSelection(q, selected, settings);
+
+            if (result === 'correct') {
+                correct++;
+                console.log('Correct.');
+            } else {
+                console.log(`Incorrect. Correct answer: ${q.correctKeys.join(', ')}`);
+            }
+            if (q.explanation) console.log(`Explanation: ${q.explanation}`);
+        }
+    } finally {
+        rl.close();
+    }
+
+    const percent = answered > 0 ? Math.round((correct / answered) * 100) : 0;
+    console.log(`\n${correct}/${answered} correct (${percent}%), ${earned}/${maxPoints} points. ${playable.length - answered} not answered.`);
+    return 0;
+}
+
+const COMMANDS = { validate, convert, stats, quiz };
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const run = COMMANDS[command];
+    if (!run) {
+        console.error(USAGE);
+        return 2;
+    }
+    return run(parseArgs(rest));
+}
+
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+        if (!(err instanceof CliError)) throw err;
+        console.error(err.message);
+        process.exitCode = 2;
+    });
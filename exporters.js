@@ -0,0 +1,251 @@
+/**
+ * Exporters Module
+ * Serializes a loaded bank (questions after processAndRender, with correctKeys/explanation/type)
+ * to Moodle XML, GIFT and an IMS QTI 2.1 content package.
+ * Designed to be loaded via <script> tag for local file compatibility.
+ */
+
+const QuizExporters = {
+    /**
+     * Moodle grade fractions must be one of its preset values, so round to 5 decimals
+     * (e.g. 33.33333) the way Moodle itself writes them.
+     */
+    fraction: function (value) {
+        return String(Math.round(value * 100000) / 100000);
+    },
+
+    escapeXml: function (text) {
+        return (text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    // --- Moodle XML ---
+
+    /**
+     * SINGLE → multichoice with <single>true</single>; MULTIPLE → <single>false</single>
+     * with the credit split over the correct options and -100% for each wrong one.
+     */
+    toMoodleXml: function (questions) {
+        const x = (t) => this.escapeXml(t);
+        const items = questions.map(q => {
+            const isSingle = q.type === 'SINGLE';
+            const correctFraction = isSingle ? 100 : 100 / q.correctKeys.length;
+
+            const answers = q.choices.map(c => {
+                const fraction = q.correctKeys.includes(c.key) ? correctFraction : (isSingle ? 0 : -100);
+                return `    <answer fraction="${this.fraction(fraction)}" format="markdown">
+      <text>${x(c.text)}</text>
+    </answer>`;
+            }).join('\n');
+
+            const tags = (q.tags || []).length > 0
+                ? `\n    <tags>\n${q.tags.map(t => `      <tag><text>${x(t)}</text></tag>`).join('\n')}\n    </tags>`
+                : '';
+
+            return `  <question type="multichoice">
+    <name><text>Q${x(q.id)}</text></name>
+    <questiontext format="markdown"><text>${x(QuizCore.questionStem(q))}</text></questiontext>
+    <generalfeedback format="markdown"><text>${x(q.explanation)}</text></generalfeedback>
+    <defaultgrade>${q.weight || 1}</defaultgrade>
+    <penalty>0</penalty>
+    <hidden>0</hidden>
+    <single>${isSingle}</single>
+    <shuffleanswers>0</shuffleanswers>
+    <answernumbering>ABCD</answernumbering>
+${answers}${tags}
+  </question>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n<quiz>\n${items.join('\n')}\n</quiz>\n`;
+    },
+
+    // --- GIFT ---
+
+    escapeGift: function (text) {
+        return (text || '')
+            .replace(/([~=#{}:\\])/g, '\\$1')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    /**
+     * SINGLE → {=right ~wrong}; MULTIPLE → {~%50%right ~%50%right ~%-100%wrong}.
+     * The explanation becomes general feedback (####) and tags use Moodle's // [tag:...] comments.
+     */
+    toGift: function (questions) {
+        const g = (t) => this.escapeGift(t);
+        return questions.map(q => {
+            const isSingle = q.type === 'SINGLE';
+            const correctWeight = this.fraction(100 / q.correctKeys.length);
+
+            const answers = q.choices.map(c => {
+                const isCorrect = q.correctKeys.includes(c.key);
+                if (isSingle) return `\t${isCorrect ? '=' : '~'}${g(c.text)}`;
+                return `\t~%${isCorrect ? correctWeight : '-100'}%${g(c.text)}`;
+            }).join('\n');
+
+            const tags = (q.tags || []).map(t => `// [tag:${t.replace(/[\]\r\n]/g, ' ')}]\n`).join('');
+            const feedback = q.explanation ? `\n\t####${g(q.explanation)}` : '';
+
+            return `${tags}::Q${g(q.id)}::[markdown]${g(QuizCore.questionStem(q))} {\n${answers}${feedback}\n}\n`;
+        }).join('\n');
+    },
+
+    // --- IMS QTI 2.1 ---
+
+    /**
+     * Builds a QTI 2.1 content package (zip) with one assessmentItem per question and an imsmanifest.xml.
+     * @returns {Uint8Array} Zip file bytes.
+     */
+    toQtiPackage: function (questions) {
+        const files = questions.map((q, index) => ({
+            name: `items/item-${index + 1}.xml`,
+            content: this.qtiItem(q, `item-${index + 1}`)
+        }));
+
+        const resources = files.map((f, index) => `    <resource identifier="item-${index + 1}" type="imsqti_item_xmlv2p1" href="${f.name}">
+      <file href="${f.name}"/>
+    </resource>`).join('\n');
+
+        const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd"
+  identifier="MANIFEST-${Date.now()}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+${resources}
+  </resources>
+</manifest>
+`;
+
+        return this.createZip([{ name: 'imsmanifest.xml', content: manifest }, ...files]);
+    },
+
+    qtiItem: function (q, identifier) {
+        const x = (t) => this.escapeXml(t);
+        const isSingle = q.type === 'SINGLE';
+        const paragraphs = (text) => (text || '').split(/\n{2,}/).map(p => `<p>${x(p)}</p>`).join('');
+
+        const correctValues = q.correctKeys.map(k => `<value>${x(k)}</value>`).join('');
+        const choices = q.choices
+            .map(c => `        <simpleChoice identifier="${x(c.key)}">${x(c.text)}</simpleChoice>`)
+            .join('\n');
+        const feedback = q.explanation
+            ? `\n  <modalFeedback outcomeIdentifier="FEEDBACK" showHide="show" identifier="EXPLANATION">${paragraphs(q.explanation)}</modalFeedback>`
+            : '';
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+  identifier="${identifier}" title="Q${x(q.id)}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="${isSingle ? 'single' : 'multiple'}" baseType="identifier">
+    <correctResponse>${correctValues}</correctResponse>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    <div>${paragraphs(QuizCore.questionStem(q))}
+      <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${isSingle ? 1 : 0}">
+${choices}
+      </choiceInteraction>
+    </div>
+  </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">${q.weight || 1}</baseValue></setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>
+  </responseProcessing>${feedback}
+</assessmentItem>
+`;
+    },
+
+    // --- Zip (store only) ---
+
+    crcTable: null,
+
+    crc32: function (bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    /**
+     * Minimal uncompressed zip writer, enough for small XML packages.
+     * @param {Array<{name: string, content: string}>} files
+     */
+    createZip: function (files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // Local file header signature
+            local.setUint16(4, 20, true); // Version needed
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // Stored
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, p) => sum + p.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+        let pos = 0;
+        parts.forEach(p => {
+            zip.set(p, pos);
+            pos += p.length;
+        });
+        return zip;
+    }
+};
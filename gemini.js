@@ -1,10 +1,77 @@
 /**
- * Gemini AI Integration Module
- * Handles API calls to Google Gemini for MCQ generation
+ * AI Generation Module
+ * Builds prompts and parses responses for MCQ generation. Requests go through the
+ * provider selected in the UI (providers.js): Google Gemini or an OpenAI-compatible endpoint.
  */
 
 // Session-only API key storage (not persisted)
-let geminiApiKey = '';
+let llmApiKey = '';
+
+// Provider, endpoint and model choice (no secrets) are remembered across visits
+const PROVIDER_SETTINGS_KEY = 'llmProvider';
+
+// Generation limits: large counts are split into batches so no single response gets truncated
+const MAX_GENERATED_QUESTIONS = 500;
+const DEFAULT_BATCH_SIZE = 25;
+const MAX_SOURCE_FILE_SIZE = 50 * 1024 * 1024;
+// Stems whose word sets overlap at least this much (Jaccard) count as duplicates
+const DUPLICATE_STEM_SIMILARITY = 0.8;
+
+// Response schema for structured output; the text format is only used when a model can't follow it
+const QUESTION_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        questions: {
+            type: 'ARRAY',
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    stem: { type: 'STRING', description: 'Question text without numbering or type tags' },
+                    type: { type: 'STRING', enum: ['single', 'multiple'] },
+                    choices: { type: 'ARRAY', items: { type: 'STRING' }, description: 'Option texts in order A, B, C, D, without letters' },
+                    correct: { type: 'ARRAY', items: { type: 'STRING' }, description: 'Letters of the correct options, e.g. ["B"] or ["A", "C"]' },
+                    explanation: { type: 'STRING' },
+                    topic: { type: 'STRING', description: 'Short name of the section of the material the question is about' },
+                    difficulty: { type: 'STRING', enum: ['easy', 'medium', 'hard'] }
+                },
+                required: ['stem', 'type', 'choices', 'correct', 'explanation', 'topic', 'difficulty'],
+                propertyOrdering: ['stem', 'type', 'choices', 'correct', 'explanation', 'topic', 'difficulty']
+            }
+        }
+    },
+    required: ['questions']
+};
+
+// Automatic retries for rate-limit (429) and overload (5xx) errors, with exponential backoff
+const MAX_RETRIES = 4;
+const RETRY_BASE_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 90 * 1000;
+
+// Follow-up questions generated per incorrect answer in the results
+const FOLLOW_UP_PER_MISTAKE = 2;
+
+// Verification pass: questions are re-answered in chunks of this size, without their key
+const VERIFICATION_BATCH_SIZE = 25;
+
+const VERIFICATION_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        answers: {
+            type: 'ARRAY',
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    question: { type: 'STRING', description: 'Question number as given, e.g. "3"' },
+                    correct: { type: 'ARRAY', items: { type: 'STRING' }, description: 'Letters of the options you consider correct' },
+                    rationale: { type: 'STRING', description: 'Why, in 1-3 sentences grounded in the material' }
+                },
+                required: ['question', 'correct', 'rationale'],
+                propertyOrdering: ['question', 'correct', 'rationale']
+            }
+        }
+    },
+    required: ['answers']
+};
 
 // DOM Elements (initialized on load)
 const geminiElements = {};
@@ -19,15 +86,41 @@ function initGemini() {
         apiKeyInput: document.getElementById('gemini-api-key'),
         toggleKeyBtn: document.getElementById('toggle-key-visibility'),
         modelSelect: document.getElementById('gemini-model'),
+        providerSelect: document.getElementById('llm-provider'),
+        geminiFields: document.getElementById('gemini-provider-fields'),
+        customFields: document.getElementById('custom-provider-fields'),
+        baseUrlInput: document.getElementById('llm-base-url'),
+        customModelInput: document.getElementById('llm-model'),
+        apiKeyLabel: document.getElementById('api-key-label'),
+        apiKeyLink: document.getElementById('api-key-link'),
         sourceFile: document.getElementById('source-file'),
         sourceStatus: document.getElementById('source-status'),
+        sourceList: document.getElementById('source-list'),
+        customInstructions: document.getElementById('custom-instructions'),
+        templateSelect: document.getElementById('prompt-template-select'),
+        templateName: document.getElementById('prompt-template-name'),
+        templateText: document.getElementById('prompt-template-text'),
+        templateStatus: document.getElementById('prompt-template-status'),
+        saveTemplateBtn: document.getElementById('save-prompt-template-btn'),
+        deleteTemplateBtn: document.getElementById('delete-prompt-template-btn'),
+        exportTemplateBtn: document.getElementById('export-prompt-template-btn'),
+        importTemplateInput: document.getElementById('import-prompt-template'),
         questionCount: document.getElementById('question-count'),
+        batchSize: document.getElementById('batch-size'),
+        topicsInput: document.getElementById('generation-topics'),
+        verifyAnswers: document.getElementById('verify-answers'),
         questionType: document.getElementById('question-type'),
         difficultyLevel: document.getElementById('difficulty-level'),
         generateBtn: document.getElementById('generate-btn'),
         loadingDiv: document.getElementById('gemini-loading'),
         loadingMessage: document.getElementById('loading-message'),
-        errorDiv: document.getElementById('gemini-error')
+        cancelBtn: document.getElementById('cancel-generation-btn'),
+        errorDiv: document.getElementById('gemini-error'),
+        batchPanel: document.getElementById('gemini-batches'),
+        batchList: document.getElementById('gemini-batch-list'),
+        batchSummary: document.getElementById('gemini-batch-summary'),
+        retryFailedBtn: document.getElementById('retry-failed-batches-btn'),
+        usePartialBtn: document.getElementById('use-partial-batches-btn')
     });
 
     // Event listeners
@@ -35,17 +128,72 @@ function initGemini() {
     geminiElements.toggleKeyBtn?.addEventListener('click', toggleKeyVisibility);
     geminiElements.sourceFile?.addEventListener('change', handleSourceFileSelect);
     geminiElements.generateBtn?.addEventListener('click', generateQuestions);
+    geminiElements.retryFailedBtn?.addEventListener('click', () => GeminiBatches.retryFailed());
+    geminiElements.usePartialBtn?.addEventListener('click', () => GeminiBatches.finish());
+    geminiElements.cancelBtn?.addEventListener('click', () => GeminiBatches.cancel());
     geminiElements.apiKeyInput?.addEventListener('input', (e) => {
-        geminiApiKey = e.target.value.trim();
+        llmApiKey = e.target.value.trim();
     });
+    [geminiElements.providerSelect, geminiElements.modelSelect, geminiElements.baseUrlInput, geminiElements.customModelInput]
+        .forEach(input => input?.addEventListener('change', saveProviderSettings));
+
+    loadProviderSettings();
+    initPromptTemplates();
+    if (typeof pdfjsLib !== 'undefined') {
+        pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js';
+    }
 
     // Clear API key on page unload
     window.addEventListener('beforeunload', () => {
-        geminiApiKey = '';
+        llmApiKey = '';
         if (geminiElements.apiKeyInput) geminiElements.apiKeyInput.value = '';
     });
 }
 
+// --- Provider Settings ---
+
+function loadProviderSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROVIDER_SETTINGS_KEY) || '{}');
+        if (saved.provider) geminiElements.providerSelect.value = saved.provider;
+        if (saved.geminiModel) geminiElements.modelSelect.value = saved.geminiModel;
+        if (saved.baseUrl) geminiElements.baseUrlInput.value = saved.baseUrl;
+        if (saved.model) geminiElements.customModelInput.value = saved.model;
+    } catch (e) {
+        console.warn('Ignoring unreadable provider settings', e);
+    }
+    updateProviderFields();
+}
+
+function saveProviderSettings() {
+    localStorage.setItem(PROVIDER_SETTINGS_KEY, JSON.stringify({
+        provider: geminiElements.providerSelect.value,
+        geminiModel: geminiElements.modelSelect.value,
+        baseUrl: geminiElements.baseUrlInput.value.trim(),
+        model: geminiElements.customModelInput.value.trim()
+    }));
+    updateProviderFields();
+}
+
+// Shows the fields of the selected provider
+function updateProviderFields() {
+    const isGemini = geminiElements.providerSelect.value === 'gemini';
+    geminiElements.geminiFields.classList.toggle('hidden', !isGemini);
+    geminiElements.customFields.classList.toggle('hidden', isGemini);
+    geminiElements.apiKeyLink.classList.toggle('hidden', !isGemini);
+    geminiElements.apiKeyLabel.textContent = isGemini ? 'Gemini API Key' : 'API Key (optional for local servers)';
+}
+
+// The provider, model and endpoint currently selected
+function readProviderSettings() {
+    const provider = geminiElements.providerSelect.value;
+    return {
+        provider,
+        model: provider === 'gemini' ? geminiElements.modelSelect.value : geminiElements.customModelInput.value.trim(),
+        baseUrl: geminiElements.baseUrlInput.value.trim()
+    };
+}
+
 // Toggle Gemini section visibility
 function toggleGeminiSection() {
     const isHidden = geminiElements.content.classList.contains('hidden');
@@ -70,22 +218,113 @@ function toggleKeyVisibility() {
 
 // Handle source file selection
 function handleSourceFileSelect(e) {
-    const file = e.target.files[0];
-    if (!file) {
+    const files = Array.from(e.target.files);
+    renderSourceList(files);
+    if (files.length === 0) {
         geminiElements.sourceStatus.textContent = '';
         return;
     }
 
-    const sizeMB = (file.size / (1024 * 1024)).toFixed(2);
-    geminiElements.sourceStatus.textContent = `${file.name} (${sizeMB} MB)`;
+    const sizeMB = (files.reduce((sum, file) => sum + file.size, 0) / (1024 * 1024)).toFixed(2);
+    geminiElements.sourceStatus.textContent = files.length === 1
+        ? `${files[0].name} (${sizeMB} MB)`
+        : `${files.length} files (${sizeMB} MB)`;
 
-    if (file.size > 50 * 1024 * 1024) {
-        showGeminiError('File size exceeds 50MB limit. Please use a smaller file.');
+    const tooLarge = files.find(file => file.size > MAX_SOURCE_FILE_SIZE);
+    if (tooLarge) {
+        showGeminiError(`${tooLarge.name} exceeds the 50MB limit. Please use a smaller file.`);
     } else {
         hideGeminiError();
     }
 }
 
+// One row per source file for its page ranges, headings and (with several files) share of the questions
+function renderSourceList(files) {
+    const list = geminiElements.sourceList;
+    list.innerHTML = '';
+    const inputClass = 'w-full px-3 py-1.5 border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 focus:ring-2 focus:ring-brand-500 text-xs';
+
+    files.forEach(file => {
+        const row = document.createElement('li');
+        row.className = 'p-3 bg-slate-50 dark:bg-slate-700/50 border border-slate-200 dark:border-slate-600 rounded-lg';
+
+        const name = document.createElement('div');
+        name.className = 'text-sm font-medium text-slate-700 dark:text-slate-300 truncate mb-2';
+        name.textContent = file.name;
+
+        const fields = document.createElement('div');
+        fields.className = `grid gap-2 ${files.length > 1 ? 'md:grid-cols-[1fr_1fr_6rem]' : 'md:grid-cols-2'}`;
+
+        const pages = document.createElement('input');
+        pages.className = `source-pages ${inputClass}`;
+        pages.placeholder = 'Pages, e.g. 3-10, 14';
+        pages.title = 'Only use these pages (optional)';
+
+        const headings = document.createElement('input');
+        headings.className = `source-headings ${inputClass}`;
+        headings.placeholder = 'Headings, e.g. Dropout; Batch norm';
+        headings.title = 'Only use the sections under these headings, separated by semicolons (optional)';
+        fields.append(pages, headings);
+
+        if (files.length > 1) {
+            const weight = document.createElement('input');
+            weight.type = 'number';
+            weight.min = '0';
+            weight.step = 'any';
+            weight.value = '1';
+            weight.className = `source-weight ${inputClass}`;
+            weight.title = 'Share of the questions, relative to the other files (e.g. 2 gives twice as many as 1)';
+            fields.appendChild(weight);
+        }
+
+        row.append(name, fields);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * The scope entered for each selected file, in file order.
+ * @returns {Array<{name: string, pages: Array<number[]>|null, headings: string[], weight: number}>}
+ *   pages is [] for the whole file and null when the ranges can't be read.
+ */
+function readSourceScopes(files) {
+    const rows = geminiElements.sourceList.querySelectorAll('li');
+    return files.map((file, i) => {
+        const row = rows[i];
+        const weight = parseFloat(row?.querySelector('.source-weight')?.value);
+        return {
+            name: file.name,
+            pages: parsePageRanges(row?.querySelector('.source-pages').value || ''),
+            headings: (row?.querySelector('.source-headings').value || '').split(';').map(h => h.trim()).filter(Boolean),
+            weight: weight >= 0 ? weight : 1
+        };
+    });
+}
+
+// "3-10, 14" → [[3, 10], [14, 14]]; null when a part isn't a page or range
+function parsePageRanges(text) {
+    const ranges = [];
+    for (const part of text.split(',').map(p => p.trim()).filter(Boolean)) {
+        const match = part.match(/^(\d+)\s*(?:[-–]\s*(\d+))?$/);
+        if (!match) return null;
+        const from = parseInt(match[1]);
+        const to = match[2] ? parseInt(match[2]) : from;
+        if (from < 1 || to < from) return null;
+        ranges.push([from, to]);
+    }
+    return ranges;
+}
+
+function formatPageRanges(ranges) {
+    return ranges.map(([from, to]) => from === to ? `${from}` : `${from}-${to}`).join(', ');
+}
+
+// "Regularization | 2" or "Lecture 3 | 50%" → {name, weight}; lines without a weight count as 1
+function parseWeightedTopic(line) {
+    const match = line.match(/^(.*?)\s*\|\s*(\d+(?:\.\d+)?)\s*%?\s*$/);
+    return match && match[1] ? { name: match[1], weight: parseFloat(match[2]) } : { name: line, weight: 1 };
+}
+
 // Show error message
 function showGeminiError(message) {
     geminiElements.errorDiv.textContent = message;
@@ -137,58 +376,83 @@ function getMimeType(file) {
     return mimeTypes[ext] || 'application/octet-stream';
 }
 
-// Build prompt for Gemini
-function buildPrompt(count, type, difficulty) {
-    // Determine type distribution
-    let typeDistribution;
-    if (type === 'mixed') {
-        typeDistribution = `**70% Single-correct-answer MCQs** → mark as \`[Single]\`
-**30% Multiple-correct-answer MCQs** → mark as \`[Multiple] (Select all that apply)\``;
-    } else if (type === 'single') {
-        typeDistribution = `**100% Single-correct-answer MCQs** → mark as \`[Single]\`
-(Each question has exactly one correct option)`;
-    } else {
-        typeDistribution = `**100% Multiple-correct-answer MCQs** → mark as \`[Multiple] (Select all that apply)\`
-(Each question has 2-4 correct options)`;
+/**
+ * Reads a source file in the form the provider takes: inline data for providers that accept files,
+ * extracted text otherwise. Extracted PDF text is cut down to the page ranges, if any; files sent whole
+ * rely on the prompt to stay within them.
+ */
+async function readSourceMaterial(file, provider, pages = []) {
+    if (LLMProviders.get(provider).acceptsFiles) {
+        return { name: file.name, fileData: await readFileAsBase64(file), mimeType: getMimeType(file) };
     }
 
-    // Determine difficulty level
-    let difficultyGuidance;
-    if (difficulty === 'mixed') {
-        difficultyGuidance = `Vary the difficulty level across questions, including:
-- Some requiring deep conceptual understanding and multi-step reasoning
-- Some testing nuanced distinctions and edge cases
-- Some involving scenario-based decision-making`;
-    } else if (difficulty === 'hard') {
-        difficultyGuidance = `All questions must be **advanced/Master's-level**, emphasizing:
-- Deep conceptual understanding and multi-step reasoning
-- Nuanced distinctions and edge cases
-- Algorithmic complexity, convergence, assumptions, variants, limitations
-- Trade-offs between methods and scenario-based decision-making
-- Combining multiple ideas from across the material
-Questions must NOT be answerable by shallow recall or simple lookup.`;
-    } else if (difficulty === 'medium') {
-        difficultyGuidance = `Questions should be **intermediate-level**, requiring:
-- Solid understanding of core concepts
-- Ability to apply knowledge to scenarios
-- Recognition of relationships between concepts
-- Some multi-step reasoning`;
-    } else {
-        difficultyGuidance = `Questions should be **foundational-level**, focusing on:
-- Core concepts and definitions
-- Basic understanding and recall
-- Fundamental principles
-- Straightforward application`;
+    let text = getMimeType(file) === 'application/pdf' ? await extractPdfText(file) : await file.text();
+    if (!text.trim()) {
+        throw new Error(`No text could be extracted from ${file.name}. Scanned PDFs need a provider that accepts files (Gemini).`);
     }
+    if (pages.length > 0) text = keepPages(text, pages, file.name);
+    return { name: file.name, text };
+}
 
-    return `**Act as an expert exam setter for an Academic Course**
+// The pages of extracted text (see extractPdfText) within the ranges; text without page markers is kept whole
+function keepPages(text, ranges, name) {
+    const pages = text.split(/\n\n(?=\[Page \d+\]\n)/);
+    if (!/^\[Page \d+\]/.test(pages[0])) return text;
 
-Your task is to generate **a single text file** based on the provided source material, consisting of 2 parts:
+    const kept = pages.filter(page => {
+        const n = parseInt(page.match(/^\[Page (\d+)\]/)[1]);
+        return ranges.some(([from, to]) => n >= from && n <= to);
+    });
+    if (kept.length === 0) throw new Error(`${name} has no pages ${formatPageRanges(ranges)}.`);
+    return kept.join('\n\n');
+}
 
-1. **Exam Questions**
-2. **Exam Answers**
+// Text of every page through pdf.js, with "[Page n]" markers so questions can still be tied to pages
+async function extractPdfText(file) {
+    if (typeof pdfjsLib === 'undefined') {
+        throw new Error('The PDF reader (pdf.js) could not be loaded. Check your connection, or use a TXT/MD source.');
+    }
 
-You will receive **one input file** (PDF/TXT/MD containing academic course material). This is the *primary and authoritative* content source.
+    const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+    const pages = [];
+    for (let n = 1; n <= pdf.numPages; n++) {
+        const page = await pdf.getPage(n);
+        const content = await page.getTextContent();
+        // Items flagged hasEOL end a line; the rest continue it
+        const text = content.items
+            .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+            .join('')
+            .replace(/[ \t]+\n/g, '\n')
+            .trim();
+        pages.push(`[Page ${n}]\n${text}`);
+    }
+    return pages.join('\n\n');
+}
+
+// --- Prompt Templates ---
+
+// Saved templates, the active one (null for the built-in) and the custom instructions
+const PROMPT_TEMPLATES_KEY = 'promptTemplates';
+
+/**
+ * Variables a template can use. buildPrompt fills them for every request:
+ *   count, type, difficulty   - the options as chosen ('mixed', 'single', ...)
+ *   typeGuidance              - type distribution and the rules for single/multiple questions
+ *   difficultyGuidance        - what the chosen difficulty means
+ *   sources                   - how many files are attached
+ *   scope                     - the slice of the material this request covers (batch, topic, pages, mistakes)
+ *   instructions              - the custom instructions
+ *   format                    - the output format the parsers read
+ */
+const PROMPT_VARIABLES = ['count', 'type', 'difficulty', 'typeGuidance', 'difficultyGuidance', 'sources', 'scope', 'instructions', 'format'];
+// Without these, responses can't be parsed ({{format}}) or batches repeat each other ({{scope}})
+const PROTECTED_PROMPT_VARIABLES = ['scope', 'format'];
+
+const DEFAULT_PROMPT_TEMPLATE = `**Act as an expert exam setter for an Academic Course**
+
+Your task is to generate **exam questions with answers and explanations** based on the provided source material, in the output format given at the end.
+
+{{sources}}
 
 ---
 
@@ -196,22 +460,20 @@ You will receive **one input file** (PDF/TXT/MD containing academic course mater
 
 ### **1. Read and analyze the material thoroughly**
 
-Treat the provided file as the *sole and primary* source.
+Treat the provided material as the *sole and primary* source.
 All questions must reflect its concepts, depth, notation, assumptions, and examples.
 
 ---
 
-### **2. Produce ${count} MCQs**
+### **2. Produce {{count}} MCQs**
 
-**Distribution across topics:**
-- Determine the number of main topics/sections in the material
-- Divide the ${count} questions **equally** across those topics
+{{scope}}
 
 ---
 
 ### **3. Difficulty & Cognitive Level**
 
-${difficultyGuidance}
+{{difficultyGuidance}}
 
 **All distractors must be plausible**—avoid obviously false or trivial options.
 
@@ -221,25 +483,13 @@ ${difficultyGuidance}
 
 ### **4. Question Types**
 
-${typeDistribution}
-
-**Single-correct questions:**
-- Mark as \`[Single]\`
-- Exactly one correct option
-- All four choices should be subtle, tricky, and conceptually close
-  (e.g., differing assumptions, boundary conditions, detail-level formulations)
-
-**Multiple-correct questions:**
-- Mark as \`[Multiple] (Select all that apply)\`
-- 2 to 4 correct options
-- All correct options must be clearly defendable
-- The incorrect options should fail for specific, subtle reasons
+{{typeGuidance}}
 
 ---
 
 ### **5. Coverage Requirements**
 
-Across the ${count} questions, ensure representation of:
+Across the {{count}} questions, ensure representation of:
 
 - Core concepts and definitions
 - Mathematical/technical details
@@ -254,7 +504,269 @@ Across the ${count} questions, ensure representation of:
 
 ---
 
-# **Output Format (STRICT)**
+### **6. Additional Instructions**
+
+{{instructions}}
+
+---
+
+# **Style Requirements**
+
+- Do **not** reference slide numbers, page numbers, or file names
+- Use precise, formal technical language appropriate for the subject matter
+- Explanations should be concise (2-5 sentences), rigorous, and directly grounded in the material
+
+---
+
+{{format}}`;
+
+const PromptTemplates = {
+    store: { active: null, templates: [], instructions: '' },
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PROMPT_TEMPLATES_KEY) || '{}');
+            this.store = {
+                active: saved.active || null,
+                templates: Array.isArray(saved.templates) ? saved.templates.filter(t => t && t.name && typeof t.text === 'string') : [],
+                instructions: saved.instructions || ''
+            };
+        } catch (e) {
+            console.warn('Ignoring unreadable prompt templates', e);
+        }
+        if (!this.find(this.store.active)) this.store.active = null;
+    },
+
+    save() {
+        localStorage.setItem(PROMPT_TEMPLATES_KEY, JSON.stringify(this.store));
+    },
+
+    find(name) {
+        return this.store.templates.find(t => t.name === name) || null;
+    },
+
+    // The template used for generation: the active saved one, or the built-in
+    active() {
+        return this.find(this.store.active) || { name: null, text: DEFAULT_PROMPT_TEMPLATE };
+    },
+
+    /**
+     * Problems that keep a template from being saved (errors) or are worth a look (warnings).
+     * @returns {{errors: string[], warnings: string[]}}
+     */
+    validate(text) {
+        const used = new Set(Array.from(text.matchAll(/{{\s*(\w+)\s*}}/g), match => match[1]));
+        const errors = PROTECTED_PROMPT_VARIABLES
+            .filter(name => !used.has(name))
+            .map(name => `{{${name}}} is required`);
+        const warnings = Array.from(used)
+            .filter(name => !PROMPT_VARIABLES.includes(name))
+            .map(name => `{{${name}}} is not a variable and is sent as written`);
+        return { errors, warnings };
+    },
+
+    // Fills the variables; protected ones the template leaves out are appended, so the output stays parseable
+    fill(text, values) {
+        let prompt = text.replace(/{{\s*(\w+)\s*}}/g, (match, name) => name in values ? String(values[name]) : match);
+        const used = new Set(Array.from(text.matchAll(/{{\s*(\w+)\s*}}/g), match => match[1]));
+        PROTECTED_PROMPT_VARIABLES.forEach(name => {
+            if (!used.has(name)) prompt += `\n\n---\n\n${values[name]}`;
+        });
+        return prompt;
+    }
+};
+
+// Fills the template select, with the built-in first
+function renderPromptTemplateSelect() {
+    const select = geminiElements.templateSelect;
+    select.innerHTML = '';
+    [{ value: '', label: 'Built-in (default)' }, ...PromptTemplates.store.templates.map(t => ({ value: t.name, label: t.name }))]
+        .forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    select.value = PromptTemplates.store.active || '';
+}
+
+// Shows the active template in the editor
+function loadPromptTemplateEditor() {
+    const template = PromptTemplates.active();
+    geminiElements.templateName.value = template.name || '';
+    geminiElements.templateText.value = template.text;
+    geminiElements.deleteTemplateBtn.disabled = !template.name;
+    updatePromptTemplateStatus();
+}
+
+function initPromptTemplates() {
+    PromptTemplates.load();
+    geminiElements.customInstructions.value = PromptTemplates.store.instructions;
+    renderPromptTemplateSelect();
+    loadPromptTemplateEditor();
+
+    geminiElements.customInstructions.addEventListener('input', () => {
+        PromptTemplates.store.instructions = geminiElements.customInstructions.value.trim();
+        PromptTemplates.save();
+    });
+    geminiElements.templateSelect.addEventListener('change', () => {
+        PromptTemplates.store.active = geminiElements.templateSelect.value || null;
+        PromptTemplates.save();
+        loadPromptTemplateEditor();
+    });
+    geminiElements.templateText.addEventListener('input', () => updatePromptTemplateStatus());
+    geminiElements.templateName.addEventListener('input', () => updatePromptTemplateStatus());
+    geminiElements.saveTemplateBtn.addEventListener('click', savePromptTemplate);
+    geminiElements.deleteTemplateBtn.addEventListener('click', deletePromptTemplate);
+    geminiElements.exportTemplateBtn.addEventListener('click', exportPromptTemplate);
+    geminiElements.importTemplateInput.addEventListener('change', importPromptTemplate);
+}
+
+// Problems with the text in the editor, and whether it differs from what generation uses
+function updatePromptTemplateStatus(message = '') {
+    const { errors, warnings } = PromptTemplates.validate(geminiElements.templateText.value);
+    const active = PromptTemplates.active();
+    const unsaved = geminiElements.templateText.value !== active.text || geminiElements.templateName.value.trim() !== (active.name || '');
+
+    const notes = [...errors, ...warnings];
+    if (message) notes.unshift(message);
+    if (unsaved) notes.push('Unsaved changes are not used until you save');
+
+    const status = geminiElements.templateStatus;
+    status.textContent = notes.join('. ') + (notes.length ? '.' : '');
+    status.className = `text-xs ${errors.length > 0 ? 'text-red-600 dark:text-red-400' : 'text-slate-500 dark:text-slate-400'}`;
+    return errors;
+}
+
+// Saves the editor under its name: replaces a template of that name, or adds a new one
+function savePromptTemplate() {
+    const name = geminiElements.templateName.value.trim();
+    const text = geminiElements.templateText.value;
+    if (!name) {
+        updatePromptTemplateStatus('Enter a name to save the template under');
+        return;
+    }
+    if (updatePromptTemplateStatus().length > 0) return;
+
+    const existing = PromptTemplates.find(name);
+    if (existing) {
+        existing.text = text;
+    } else {
+        PromptTemplates.store.templates.push({ name, text });
+    }
+    PromptTemplates.store.active = name;
+    PromptTemplates.save();
+    renderPromptTemplateSelect();
+    loadPromptTemplateEditor();
+    updatePromptTemplateStatus(`Saved "${name}"`);
+}
+
+function deletePromptTemplate() {
+    const { name } = PromptTemplates.active();
+    if (!name || !confirm(`Delete the prompt template "${name}"?`)) return;
+
+    PromptTemplates.store.templates = PromptTemplates.store.templates.filter(t => t.name !== name);
+    PromptTemplates.store.active = null;
+    PromptTemplates.save();
+    renderPromptTemplateSelect();
+    loadPromptTemplateEditor();
+}
+
+// Downloads the editor's template as {name, template} JSON
+function exportPromptTemplate() {
+    const name = geminiElements.templateName.value.trim() || 'Built-in';
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template';
+    const data = { name, template: geminiElements.templateText.value };
+    downloadFile(`${slug}.prompt.json`, JSON.stringify(data, null, 2) + '\n', 'application/json');
+}
+
+// Loads an exported template (JSON), or a plain text/markdown file as the template text
+async function importPromptTemplate(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let name = file.name.replace(/(\.prompt)?\.(json|txt|md)$/i, '');
+    let text = await file.text();
+    if (/\.json$/i.test(file.name)) {
+        try {
+            const data = JSON.parse(text);
+            if (typeof data.template !== 'string') throw new Error('no "template" text');
+            name = data.name || name;
+            text = data.template;
+        } catch (error) {
+            updatePromptTemplateStatus(`${file.name} is not an exported template (${error.message})`);
+            return;
+        }
+    }
+
+    // Loaded into the editor, so it is checked and saved like any edit
+    geminiElements.templateName.value = PromptTemplates.find(name) ? `${name} (imported)` : name;
+    geminiElements.templateText.value = text;
+    updatePromptTemplateStatus(`Imported ${file.name}; save to use it`);
+}
+
+/**
+ * Build the generation prompt (the same for every provider) from the active template
+ * @param {{topic?: string, batchIndex?: number, batchTotal?: number, source?: Object, fileCount?: number}} scope -
+ *   Which slice of the material this request covers when generation is split into batches; source carries
+ *   the page ranges and headings entered for the file, fileCount how many files are attached.
+ * @param {'json'|'text'} format - 'json' pairs with QUESTION_SCHEMA; 'text' asks for the two-part text file.
+ */
+function buildPrompt(count, type, difficulty, scope = {}, format = 'json') {
+    const isJson = format === 'json';
+    const singleTag = isJson ? '`type: "single"`' : '`[Single]`';
+    const multipleTag = isJson ? '`type: "multiple"`' : '`[Multiple] (Select all that apply)`';
+
+    // Determine type distribution
+    let typeDistribution;
+    if (type === 'mixed') {
+        typeDistribution = `**70% Single-correct-answer MCQs** → mark as ${singleTag}
+**30% Multiple-correct-answer MCQs** → mark as ${multipleTag}`;
+    } else if (type === 'single') {
+        typeDistribution = `**100% Single-correct-answer MCQs** → mark as ${singleTag}
+(Each question has exactly one correct option)`;
+    } else {
+        typeDistribution = `**100% Multiple-correct-answer MCQs** → mark as ${multipleTag}
+(Each question has 2-4 correct options)`;
+    }
+
+    const typeGuidance = `${typeDistribution}
+
+**Single-correct questions:**
+- Mark as ${singleTag}
+- Exactly one correct option
+- All four choices should be subtle, tricky, and conceptually close
+  (e.g., differing assumptions, boundary conditions, detail-level formulations)
+
+**Multiple-correct questions:**
+- Mark as ${multipleTag}
+- 2 to 4 correct options
+- All correct options must be clearly defendable
+- The incorrect options should fail for specific, subtle reasons`;
+
+    const jsonFormat = `# **Output Format (JSON)**
+
+Return one object with a \`questions\` array of ${count} items, following the response schema:
+
+- \`stem\`: the question text only (no "Q1", no type tag)
+- \`type\`: "single" or "multiple"
+- \`choices\`: the option texts in order A, B, C, D, **without** letter prefixes
+- \`correct\`: the letters of the correct options, e.g. ["C"] or ["A", "C", "D"]
+- \`explanation\`: 2-5 sentences highlighting the key concept from the material, and briefly why the other options are incorrect (for multiple-answer questions, defend each correct choice and state why each incorrect choice fails)
+- \`topic\`: a short name for the section of the material the question tests
+- \`difficulty\`: "easy", "medium" or "hard"
+
+---
+
+`;
+
+    const textFormat = `# **Output Format (STRICT)**
+
+Return **a single text file** consisting of 2 parts:
+
+1. **Exam Questions**
+2. **Exam Answers**
 
 **IMPORTANT:** Do NOT wrap the entire output in markdown code blocks (e.g. \`\`\`json or \`\`\`text). Provide the raw text only.
 
@@ -263,10 +775,10 @@ Across the ${count} questions, ensure representation of:
 Start the output exactly with the line:
 \`Part 1 - Questions\`
 
-List questions **1 through ${count}** using this exact format:
+List questions **1 through ${count}** using this exact format, with a short name for the section of the material each question tests as its topic:
 
 \`\`\`
-Q1 [Single]: <question stem>
+Q1 [Single] {topic: <topic>}: <question stem>
 A. <option A>
 B. <option B>
 C. <option C>
@@ -276,7 +788,7 @@ D. <option D>
 For multiple-answer questions:
 
 \`\`\`
-Q2 [Multiple] (Select all that apply): <question stem>
+Q2 [Multiple] {topic: <topic>} (Select all that apply): <question stem>
 A. <option A>
 B. <option B>
 C. <option C>
@@ -310,12 +822,11 @@ Explanation: <defend each correct choice and briefly state why each incorrect ch
 
 ---
 
-# **Style Requirements**
+`;
 
-- Do **not** reference slide numbers, page numbers, or file names
-- Use precise, formal technical language appropriate for the subject matter
-- Explanations should be concise (2-5 sentences), rigorous, and directly grounded in the material
-- Include **nothing** outside the two required parts
+    const outputFormat = `${isJson ? jsonFormat : textFormat}# **Output Requirements**
+
+- Include **nothing** ${isJson ? 'outside the JSON object' : 'outside the two required parts'}
 
 ### **Formatting for Math and Code**
 - **Math:** Use LaTeX syntax.
@@ -327,7 +838,7 @@ Explanation: <defend each correct choice and briefly state why each incorrect ch
     print("Hello")
     \`\`\`
   - Example inline code: \`print("Hello")\`
----
+${isJson ? '' : `---
 
 **CRITICAL:** Ensure the output format matches exactly:
 - Do NOT use markdown code blocks for the whole response.
@@ -335,108 +846,272 @@ Explanation: <defend each correct choice and briefly state why each incorrect ch
 - Part 2 starts with "Part 2 - Answers"
 - Use [Single] or [Multiple] tags after each Q number
 - Answer format: "1. Correct: A" or "2. Correct: A, C, D"
-- Each answer must have an Explanation line`;
+- Each answer must have an Explanation line`}`;
+
+
+    // Determine difficulty level
+    let difficultyGuidance;
+    if (difficulty === 'mixed') {
+        difficultyGuidance = `Vary the difficulty level across questions, including:
+- Some requiring deep conceptual understanding and multi-step reasoning
+- Some testing nuanced distinctions and edge cases
+- Some involving scenario-based decision-making`;
+    } else if (difficulty === 'hard') {
+        difficultyGuidance = `All questions must be **advanced/Master's-level**, emphasizing:
+- Deep conceptual understanding and multi-step reasoning
+- Nuanced distinctions and edge cases
+- Algorithmic complexity, convergence, assumptions, variants, limitations
+- Trade-offs between methods and scenario-based decision-making
+- Combining multiple ideas from across the material
+Questions must NOT be answerable by shallow recall or simple lookup.`;
+    } else if (difficulty === 'medium') {
+        difficultyGuidance = `Questions should be **intermediate-level**, requiring:
+- Solid understanding of core concepts
+- Ability to apply knowledge to scenarios
+- Recognition of relationships between concepts
+- Some multi-step reasoning`;
+    } else {
+        difficultyGuidance = `Questions should be **foundational-level**, focusing on:
+- Core concepts and definitions
+- Basic understanding and recall
+- Fundamental principles
+- Straightforward application`;
+    }
+
+    // Page ranges and headings entered for the source file
+    const limits = [];
+    if (scope.source?.pages.length > 0) limits.push(`pages ${formatPageRanges(scope.source.pages)}`);
+    if (scope.source?.headings.length > 0) limits.push(`the sections headed ${scope.source.headings.map(h => `"${h}"`).join(', ')}`);
+    const sourceGuidance = limits.length > 0
+        ? `**Only use ${limits.join(' and ')} of ${scope.source.name}.** Ignore the rest of the file.\n\n`
+        : '';
+
+    // Keep batches from writing the same questions
+    let topicGuidance;
+    if (scope.mistakes && scope.mistakes.length > 0) {
+        topicGuidance = `**Target the student's misconceptions.** They answered these questions incorrectly:
+
+${formatMistakes(scope.mistakes)}
+
+- Write new questions on the same concepts from different angles; do not copy these questions or reuse their wording
+- Make distractors reflect the misconception behind each wrong choice, so it shows up again if it persists
+- Spread the ${count} questions evenly across these mistakes`;
+    } else if (scope.topic) {
+        topicGuidance = `**Only cover this topic:** ${scope.topic}
+- Ignore material that belongs to other topics
+- Spread the ${count} questions across different aspects of this topic`;
+    } else if (scope.batchTotal > 1) {
+        topicGuidance = `**This request is batch ${scope.batchIndex + 1} of ${scope.batchTotal}.**
+- Divide the material into ${scope.batchTotal} consecutive parts of similar length
+- Write questions **only** about part ${scope.batchIndex + 1}, so the batches don't repeat each other
+- Within that part, divide the questions equally across its topics`;
+    } else {
+        topicGuidance = `**Distribution across topics:**
+- Determine the number of main topics/sections in the material
+- Divide the ${count} questions **equally** across those topics`;
+    }
+
+    const fileCount = scope.fileCount || 1;
+    return PromptTemplates.fill(PromptTemplates.active().text, {
+        count,
+        type,
+        difficulty,
+        typeGuidance,
+        difficultyGuidance,
+        sources: `You will receive ${fileCount > 1 ? `**${fileCount} input files**` : '**one input file**'} (PDF/TXT/MD containing academic course material). ${fileCount > 1 ? 'These are' : 'This is'} the *primary and authoritative* content source.`,
+        scope: sourceGuidance + topicGuidance,
+        instructions: PromptTemplates.store.instructions || 'None.',
+        format: outputFormat
+    });
 }
 
-// Call Gemini API
-async function callGeminiAPI(model, prompt, fileData, mimeType) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
+// Lists incorrect answers for the follow-up prompt: question, choices, what was picked and the key
+function formatMistakes(mistakes) {
+    return mistakes.map((m, index) => {
+        const choices = m.choices.map(c => `   ${c.key}. ${c.text}`).join('\n');
+        return `${index + 1}. ${m.text}\n${choices}\n   Student chose: ${m.selected.join(', ') || 'nothing'}; correct: ${m.correct.join(', ')}`;
+    }).join('\n\n');
+}
 
-    const requestBody = {
-        contents: [{
-            parts: [
-                {
-                    inlineData: {
-                        mimeType: mimeType,
-                        data: fileData
-                    }
-                },
-                { text: prompt }
-            ]
-        }]
-    };
+// --- Generation ---
 
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
+/**
+ * Sends one request through the provider in the context, retrying rate-limit and overload errors.
+ * @param {Object} request - messages, and optionally system, sources, schema, onText and signal (see providers.js).
+ * @param {Function} [request.onRetry] - Called every second while waiting: (error, secondsLeft, nextAttempt).
+ * @returns {Promise<string>} The response text.
+ */
+async function requestCompletion(context, { onRetry, ...request }) {
+    const provider = LLMProviders.get(context.provider);
+    let received = false;
+    const onText = request.onText && (text => {
+        received = true;
+        request.onText(text);
     });
 
-    if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error?.message || `API Error: ${response.status} ${response.statusText}`);
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await provider.generate({
+                model: context.model,
+                baseUrl: context.baseUrl,
+                apiKey: llmApiKey,
+                ...request,
+                onText
+            });
+        } catch (error) {
+            // Once text has streamed in, another attempt would start a different response
+            if (!error.retryable || received || attempt > MAX_RETRIES) throw error;
+
+            const delay = Math.min(error.retryAfterMs || RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+            console.warn(`Request failed (${error.category}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+            await waitForRetry(delay, request.signal, seconds => onRetry && onRetry(error, seconds, attempt + 1));
+        }
     }
+}
 
-    return await response.json();
+// Waits out a retry delay, ticking once per second; rejects as cancelled if the signal aborts first
+function waitForRetry(ms, signal, onTick) {
+    return new Promise((resolve, reject) => {
+        let seconds = Math.ceil(ms / 1000);
+        let timer = null;
+        const onAbort = () => {
+            clearInterval(timer);
+            reject(new LLMError('cancelled', 'The request was cancelled.'));
+        };
+        if (signal?.aborted) return onAbort();
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+        onTick(seconds);
+        timer = setInterval(() => {
+            seconds--;
+            if (seconds > 0) {
+                onTick(seconds);
+                return;
+            }
+            clearInterval(timer);
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, 1000);
+    });
 }
 
-// Parse Gemini response
-function parseGeminiResponse(response) {
-    if (!response.candidates || response.candidates.length === 0) {
-        throw new Error('No response generated. Please try again.');
+// Loading message while a request waits to be retried
+function showRetryCountdown(error, seconds, attempt) {
+    const reason = error.category === 'quota' ? 'Rate limit reached' : 'Model overloaded';
+    showLoading(`${reason}. Retrying in ${seconds}s (attempt ${attempt} of ${MAX_RETRIES + 1})...`);
+}
+
+
+/**
+ * Checks the key and source files, then reads the generation options.
+ * context.sources holds each file's scope ({name, pages, headings, weight}) and material, as the provider takes it.
+ * Shows the problem and returns null when generation can't start.
+ */
+async function readGenerationContext() {
+    const settings = readProviderSettings();
+    const provider = LLMProviders.get(settings.provider);
+    if (provider.requiresKey && !llmApiKey) {
+        showGeminiError(`Please enter your ${provider.label} API key.`);
+        return null;
+    }
+
+    const files = Array.from(geminiElements.sourceFile.files);
+    if (files.length === 0) {
+        showGeminiError('Please select a source material file.');
+        return null;
+    }
+
+    const tooLarge = files.find(file => file.size > MAX_SOURCE_FILE_SIZE);
+    if (tooLarge) {
+        showGeminiError(`${tooLarge.name} exceeds the 50MB limit.`);
+        return null;
+    }
+
+    const sources = readSourceScopes(files);
+    const badPages = sources.find(source => source.pages === null);
+    if (badPages) {
+        showGeminiError(`The pages for ${badPages.name} can't be read. Use ranges like "3-10, 14".`);
+        return null;
+    }
+    if (sources.every(source => source.weight === 0)) {
+        showGeminiError('Give at least one source file a share above 0.');
+        return null;
+    }
+
+    hideGeminiError();
+    for (let i = 0; i < files.length; i++) {
+        showLoading(files.length > 1 ? `Reading ${files[i].name} (${i + 1} of ${files.length})...` : 'Reading source material...');
+        sources[i].material = await readSourceMaterial(files[i], settings.provider, sources[i].pages);
     }
 
-    const text = response.candidates[0].content.parts[0].text;
-    return text;
+    return {
+        ...settings,
+        type: geminiElements.questionType.value,
+        difficulty: geminiElements.difficultyLevel.value,
+        sources,
+        verify: geminiElements.verifyAnswers.checked
+    };
 }
 
 // Generate questions
 async function generateQuestions() {
     try {
-        // Validation
-        if (!geminiApiKey) {
-            showGeminiError('Please enter your Gemini API key.');
-            return;
-        }
+        const context = await readGenerationContext();
+        if (!context) return;
 
-        const file = geminiElements.sourceFile.files[0];
-        if (!file) {
-            showGeminiError('Please select a source material file.');
+        // Get options
+        const count = Math.min(parseInt(geminiElements.questionCount.value) || 10, MAX_GENERATED_QUESTIONS);
+        const batchSize = parseInt(geminiElements.batchSize.value) || DEFAULT_BATCH_SIZE;
+        const topics = geminiElements.topicsInput.value.split('\n').map(t => t.trim()).filter(Boolean).map(parseWeightedTopic);
+
+        const batches = planBatches(count, batchSize, topics, context.sources);
+        if (batches.length === 0) {
+            hideLoading();
+            showGeminiError('Give at least one topic a weight above 0.');
             return;
         }
 
-        if (file.size > 50 * 1024 * 1024) {
-            showGeminiError('File size exceeds 50MB limit.');
-            return;
-        }
+        GeminiBatches.start(context, batches);
+        await GeminiBatches.runPending();
 
-        hideGeminiError();
-        showLoading('Reading source material...');
-
-        // Read file
-        const base64Data = await readFileAsBase64(file);
-        const mimeType = getMimeType(file);
-
-        // Get options
-        const count = parseInt(geminiElements.questionCount.value) || 10;
-        const type = geminiElements.questionType.value;
-        const difficulty = geminiElements.difficultyLevel.value;
-        const model = geminiElements.modelSelect.value;
-
-        // Build prompt
-        const prompt = buildPrompt(count, type, difficulty);
-
-        // Call API
-        showLoading('Generating questions with Gemini AI...');
-        const response = await callGeminiAPI(model, prompt, base64Data, mimeType);
-
-        // Parse response
-        const generatedText = parseGeminiResponse(response);
+    } catch (error) {
+        hideLoading();
+        console.error('Gemini Error:', error);
+        showGeminiError(LLMProviders.describeError(error));
+    }
+}
 
-        // Process the generated text directly with existing parsers
-        showLoading('Processing generated questions...');
-        await processGeneratedText(generatedText);
+/**
+ * Generates new questions aimed at the misconceptions behind incorrect answers, from the same source files.
+ * @param {Array} mistakes - Incorrect questions, with the user's selection.
+ * @param {'append'|'round'} target - Add them to the bank, or practice them as a new round.
+ */
+async function generateFollowUpQuestions(mistakes, target) {
+    // Progress and errors are shown in the generation section
+    if (geminiElements.content.classList.contains('hidden')) toggleGeminiSection();
+    document.getElementById('gemini-section').scrollIntoView({ behavior: 'smooth' });
 
-        hideLoading();
-        showGeminiError('✅ Questions generated successfully! Scroll down to start practicing.');
-        setTimeout(hideGeminiError, 5000);
+    try {
+        const context = await readGenerationContext();
+        if (!context) return;
+
+        context.followUp = target;
+        context.mistakes = mistakes.map(q => ({
+            text: questionStem(q),
+            choices: q.choices.map(c => ({ key: c.key, text: c.text })),
+            selected: q.userSelectedKeys || [],
+            correct: q.correctKeys
+        }));
+
+        const count = Math.min(mistakes.length * FOLLOW_UP_PER_MISTAKE, MAX_GENERATED_QUESTIONS);
+        const batchSize = parseInt(geminiElements.batchSize.value) || DEFAULT_BATCH_SIZE;
+        GeminiBatches.start(context, planBatches(count, batchSize, []));
+        await GeminiBatches.runPending();
 
     } catch (error) {
         hideLoading();
         console.error('Gemini Error:', error);
-        showGeminiError(`Error: ${error.message}`);
+        showGeminiError(LLMProviders.describeError(error));
     }
 }
 
@@ -449,44 +1124,735 @@ function cleanGeneratedText(text) {
     return text.trim();
 }
 
-// Process generated text
-async function processGeneratedText(text) {
+/**
+ * Parses one generated response into questions and answer entries.
+ * Throws when the response doesn't follow the two-part format (e.g. it was truncated).
+ */
+function parseGeneratedText(text) {
     text = cleanGeneratedText(text);
 
     // Split into questions and answers parts
-    const parts = text.split(/(?:Part 2.*?-.*?Answers|Answer Key and Explanations)/i);
+    const parts = splitCombinedText(text);
 
-    if (parts.length < 2) {
+    if (!parts) {
         throw new Error('Generated text format is incorrect. Please try again.');
     }
 
-    const questionsPart = parts[0].replace(/Part 1.*?-.*?Questions/i, '').trim();
-    const answersPart = parts[1].trim();
-
     // Parse using existing functions
-    const parsedQuestions = parseQuestionsText(questionsPart);
-    const parsedAnswers = parseAnswersText(answersPart);
+    const questions = parseQuestionsText(parts.questionsText, { source: 'generated questions' });
+    const answerEntries = parseAnswersList(parts.answersText, { source: 'generated answers' });
 
-    if (parsedQuestions.length === 0) {
+    if (questions.length === 0) {
         throw new Error('No valid questions found in generated text.');
     }
 
-    if (parsedAnswers.size === 0) {
+    if (answerEntries.length === 0) {
         throw new Error('No valid answers found in generated text.');
     }
 
+    return { questions, answerEntries };
+}
+
+// Loads a generated bank into the app and makes it available for download
+function loadGeneratedBank(questions, answerEntries) {
+    const answersMap = buildAnswersMap(answerEntries);
+
     // Update state
-    state.questions = parsedQuestions;
-    state.answersMap = parsedAnswers;
+    state.questions = questions;
+    state.answersMap = answersMap;
+    state.answerEntries = answerEntries;
+    state.questionFiles = [];
+    state.answerFiles = [];
+
+    setGeneratedDownloads(questions, answersMap);
+
+    // Render (or report problems first)
+    checkReadyToRender();
+}
 
-    // Update Download Manager
-    GeminiDownloadManager.setContent(questionsPart, answersPart);
+// Adds follow-up questions to the bank in use (or starts a round with them); downloads hold just the new set
+function loadFollowUpBank(questions, answerEntries, target) {
+    setGeneratedDownloads(questions, buildAnswersMap(answerEntries));
+    addFollowUpQuestions(questions, answerEntries, target);
+}
+
+// Finalizes a bank that was rendered while streaming; cards and any answers given so far stay as they are
+function finishLiveBank(questions, answerEntries) {
+    state.answerEntries = answerEntries;
+    state.questionFiles = [];
+    state.answerFiles = [];
+
+    setGeneratedDownloads(questions, buildAnswersMap(answerEntries));
+    finalizeLiveSession();
+}
+
+// Update Download Manager: the text files are written from the parsed questions, whatever format the model used
+function setGeneratedDownloads(questions, answersMap) {
+    const matched = questions.map(q => QuizCore.matchAnswer({ ...q }, answersMap.get(q.id)));
+    GeminiDownloadManager.setContent(QuizCore.formatQuestionsText(matched), QuizCore.formatAnswersText(matched));
     GeminiDownloadManager.showButtons();
+}
+
+// --- Structured Output ---
+
+const CHOICE_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Marks errors that mean the model (or API) couldn't produce schema-conforming JSON
+function structuredOutputError(message) {
+    const error = new Error(message);
+    error.structuredOutput = true;
+    return error;
+}
+
+function isStructuredOutputError(error) {
+    return error.structuredOutput || /response_?schema|response_?mime_?type|response_format|json_schema|json mode/i.test(error.message);
+}
+
+function parseStructuredResponse(text) {
+    let data;
+    try {
+        data = JSON.parse(cleanGeneratedText(text));
+    } catch (error) {
+        throw structuredOutputError(`Generated JSON is invalid: ${error.message}`);
+    }
+    if (!data || !Array.isArray(data.questions) || data.questions.length === 0) {
+        throw structuredOutputError('Generated JSON has no questions.');
+    }
+    return data.questions;
+}
+
+/**
+ * Returns the items of the "questions" array that are complete in partially streamed JSON.
+ * Scans for balanced braces outside of strings, so the last, unfinished item is left out.
+ */
+function extractCompleteItems(text) {
+    const key = text.indexOf('"questions"');
+    const start = key === -1 ? -1 : text.indexOf('[', key);
+    if (start === -1) return [];
+
+    const items = [];
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let itemStart = -1;
+
+    for (let i = start + 1; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+
+        if (ch === '"') {
+            inString = true;
+        } else if (ch === '{') {
+            if (depth === 0) itemStart = i;
+            depth++;
+        } else if (ch === '}') {
+            depth--;
+            if (depth === 0) {
+                try {
+                    items.push(JSON.parse(text.slice(itemStart, i + 1)));
+                } catch (error) {
+                    throw structuredOutputError(`Generated JSON is invalid: ${error.message}`);
+                }
+            }
+        } else if (ch === ']' && depth === 0) {
+            break;
+        }
+    }
+    return items;
+}
+
+// Maps one schema item onto the parser's question and answer objects
+function questionFromStructured(item, id) {
+    const choices = (item.choices || []).map((text, index) => ({
+        key: CHOICE_LETTERS[index],
+        // Models sometimes repeat the letter despite the schema description
+        text: String(text).replace(new RegExp(`^\\s*${CHOICE_LETTERS[index]}[.)]\\s+`), '')
+    }));
+
+    const question = {
+        id,
+        text: item.stem || '',
+        explicitType: item.type === 'multiple' ? 'MULTIPLE' : 'SINGLE',
+        weight: 1,
+        choices,
+        tags: item.topic ? [String(item.topic).trim()] : [],
+        difficulty: item.difficulty || null,
+        source: 'generated',
+        rawLine: null
+    };
+    const answer = {
+        id,
+        correctKeys: letterKeys(item.correct),
+        explanation: item.explanation || ''
+    };
+    return { question, answer };
+}
+
+// Normalizes answer letters from JSON output ("b", " C) ") to sorted single capitals
+function letterKeys(keys) {
+    return Array.from(new Set((keys || []).map(key => String(key).trim().toUpperCase().charAt(0)).filter(Boolean))).sort();
+}
+
+// --- Answer Verification ---
+
+function buildVerificationPrompt(questions) {
+    return `You are checking a multiple-choice question bank against the attached study material.
 
-    // Render
-    processAndRender();
+Answer every question below yourself, using only the material. The answer key is deliberately not included: work out each answer independently.
+
+- [Single] questions have exactly one correct option; [Multiple] questions have two or more.
+- For each question, return its number, the letters of the option(s) you consider correct, and a rationale of 1-3 sentences grounded in the material.
+- If the material does not settle a question, pick the best-supported option and say so in the rationale.
+
+Questions:
+
+${QuizCore.formatQuestionsText(questions)}`;
+}
+
+function parseVerificationResponse(text) {
+    let data;
+    try {
+        data = JSON.parse(cleanGeneratedText(text));
+    } catch (error) {
+        throw new Error(`Verification response is invalid: ${error.message}`);
+    }
+    if (!data || !Array.isArray(data.answers)) {
+        throw new Error('Verification response has no answers.');
+    }
+
+    const verdicts = new Map();
+    data.answers.forEach(item => {
+        const number = String(item.question || '').replace(/^Q/i, '').trim();
+        verdicts.set(number, { correctKeys: letterKeys(item.correct), rationale: item.rationale || '' });
+    });
+    return verdicts;
+}
+
+/**
+ * Second pass over a generated bank (before it is loaded): the model answers each question from the
+ * source without seeing the key. Questions where it disagrees get q.dispute = {correctKeys, rationale}.
+ * @returns {Promise<number>} The number of disputed questions.
+ */
+async function verifyAnswers(questions, context, signal) {
+    const keyed = questions.filter(q => q.answer && q.answer.correctKeys.length > 0);
+    let disputed = 0;
+
+    for (let start = 0; start < keyed.length; start += VERIFICATION_BATCH_SIZE) {
+        const chunk = keyed.slice(start, start + VERIFICATION_BATCH_SIZE);
+        showLoading(`Verifying answers (${start + 1}-${start + chunk.length} of ${keyed.length})...`);
+
+        // The tag tells the model how many options to pick; the letters themselves stay hidden
+        const prompt = buildVerificationPrompt(chunk.map(q => ({
+            ...q,
+            type: q.explicitType || (q.answer.correctKeys.length > 1 ? 'MULTIPLE' : 'SINGLE')
+        })));
+        const text = await requestCompletion(context, {
+            messages: [{ role: 'user', text: prompt }],
+            sources: context.sources.map(source => source.material),
+            schema: VERIFICATION_SCHEMA,
+            signal,
+            onRetry: showRetryCountdown
+        });
+        const verdicts = parseVerificationResponse(text);
+
+        chunk.forEach(q => {
+            const verdict = verdicts.get(q.number);
+            if (!verdict || verdict.correctKeys.length === 0) return;
+            if (verdict.correctKeys.join(',') !== letterKeys(q.answer.correctKeys).join(',')) {
+                q.dispute = verdict;
+                disputed++;
+            }
+        });
+    }
+    return disputed;
+}
+
+// --- Tutor Chat ---
+
+// The sources as last read for the tutor, so they aren't read again for every message
+let tutorSources = null;
+
+// The whole of every source file selected for generation (none when there are none)
+async function readTutorSources(provider) {
+    const files = Array.from(geminiElements.sourceFile?.files || []).filter(file => file.size <= MAX_SOURCE_FILE_SIZE);
+
+    const unchanged = tutorSources && tutorSources.provider === provider
+        && tutorSources.files.length === files.length && tutorSources.files.every((file, i) => file === files[i]);
+    if (!unchanged) {
+        const materials = [];
+        for (const file of files) materials.push(await readSourceMaterial(file, provider));
+        tutorSources = { files, provider, materials };
+    }
+    return tutorSources.materials;
+}
+
+function buildTutorInstruction(q, hasSource) {
+    const choices = q.choices.map(c => `${c.key}. ${c.text}`).join('\n');
+    const selected = (q.userSelectedKeys || []).join(', ') || 'nothing';
+    const outcome = q.status === 'correct' || q.status === 'incorrect' ? ` (${q.status})` : '';
+
+    return `You are a patient tutor helping a student review a multiple-choice question they have just answered.
+
+Answer their follow-up questions concisely (a short paragraph unless they ask for more), grounded in ${hasSource ? 'the attached study material' : 'the question, answer key and explanation below'}. If the answer key looks wrong to you, say so and explain why. Use LaTeX (\\( ... \\)) for math and Markdown code blocks for code.
+
+Question (${q.type === 'MULTIPLE' ? 'select all that apply' : 'one correct answer'}${q.source ? `, from ${q.source}` : ''}):
+${questionStem(q)}
+
+Choices:
+${choices}
+
+Student's answer: ${selected}${outcome}
+Correct answer: ${q.correctKeys.join(', ') || 'unknown'}
+Explanation: ${q.explanation || 'none'}`;
+}
+
+/**
+ * Sends a question's tutor conversation to the selected model.
+ * @param {Array<{role: 'user'|'model', text: string}>} messages - Ends with the student's new message.
+ * @returns {Promise<string>} The tutor's reply.
+ */
+async function askTutor(q, messages) {
+    const settings = readProviderSettings();
+    const provider = LLMProviders.get(settings.provider);
+    if (provider.requiresKey && !llmApiKey) {
+        throw new Error(`Enter your ${provider.label} API key under AI generation to ask the tutor.`);
+    }
+
+    const sources = await readTutorSources(settings.provider);
+    return requestCompletion(settings, {
+        system: buildTutorInstruction(q, sources.length > 0),
+        messages,
+        sources
+    });
+}
+
+// --- Batched Generation ---
+
+/**
+ * Splits a question count into batches: across source files by weight when there are several,
+ * then across topics by weight, then into requests of at most batchSize.
+ * @param {Array<{name: string, weight: number}>} topics
+ * @param {Array<{name: string, weight: number}>} [sources] - Without any, batches use every source (sourceIndex null).
+ * @returns {Array<{label: string, count: number, topic: string|null, sourceIndex: number|null}>}
+ */
+function planBatches(count, batchSize, topics, sources = []) {
+    const chunk = (total, topic, sourceIndex, prefix) => {
+        const parts = Math.max(1, Math.ceil(total / batchSize));
+        return splitByWeight(total, Array(parts).fill(1)).map((partCount, i) => ({
+            label: parts > 1 ? `${prefix} (part ${i + 1} of ${parts})` : prefix,
+            count: partCount,
+            topic,
+            sourceIndex
+        }));
+    };
+
+    const byTopic = (total, sourceIndex, prefix) => {
+        if (topics.length === 0) {
+            if (prefix) return chunk(total, null, sourceIndex, prefix);
+            return chunk(total, null, sourceIndex, 'Questions').map((batch, i, all) =>
+                ({ ...batch, label: all.length > 1 ? `Batch ${i + 1} of ${all.length}` : 'Questions' }));
+        }
+        const shares = splitByWeight(total, topics.map(topic => topic.weight));
+        return topics.flatMap((topic, i) =>
+            shares[i] > 0 ? chunk(shares[i], topic.name, sourceIndex, prefix ? `${prefix} · ${topic.name}` : topic.name) : []);
+    };
+
+    if (sources.length < 2) return byTopic(count, sources.length === 1 ? 0 : null, null);
+
+    const shares = splitByWeight(count, sources.map(source => source.weight));
+    return sources.flatMap((source, i) => shares[i] > 0 ? byTopic(shares[i], i, source.name) : []);
+}
+
+// Whole numbers in proportion to the weights that add up to total (largest remainder; ties go to the earlier one)
+function splitByWeight(total, weights) {
+    const sum = weights.reduce((acc, weight) => acc + weight, 0);
+    const exact = weights.map(weight => sum > 0 ? total * weight / sum : 0);
+    const counts = exact.map(Math.floor);
+    let left = total - counts.reduce((acc, n) => acc + n, 0);
+
+    exact.map((value, i) => ({ i, remainder: value - counts[i] }))
+        .sort((a, b) => b.remainder - a.remainder || a.i - b.i)
+        .forEach(({ i }) => {
+            if (left > 0 && weights[i] > 0) {
+                counts[i]++;
+                left--;
+            }
+        });
+    return counts;
 }
 
+// Lowercased words of 3+ letters, used to spot the same stem reworded slightly
+function stemWords(text) {
+    return new Set((text || '').toLowerCase().match(/[a-z0-9]{3,}/g) || []);
+}
+
+function stemSimilarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(word => { if (b.has(word)) shared++; });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Runs batches one after another, streaming each response into a single bank.
+ * Questions are numbered in arrival order and near-duplicate stems are dropped as they come in.
+ * When cards can be shown progressively (no shuffling or exam mode), they are rendered as soon as
+ * each question is complete and answers attach when Part 2 arrives.
+ * A failed batch keeps its answered questions, so only the rest needs a retry.
+ */
+const GeminiBatches = {
+    context: null,
+    batches: [],
+    running: false,
+    live: false,
+    bank: null,
+    controller: null, // Aborts the request in flight (Cancel button)
+
+    start(context, plan) {
+        this.context = context;
+        // received counts the batch's questions kept in the bank, so a retry only asks for the rest
+        this.batches = plan.map(batch => ({ ...batch, status: 'pending', error: null, received: 0 }));
+        this.bank = { questions: [], stems: [], nextId: 1, duplicates: 0 };
+        // Verified banks are reviewed before practicing, so they load once the second pass is done.
+        // Follow-up questions join an existing bank, so they are added once they are all in.
+        this.live = !context.verify && !context.followUp && !state.settings.shuffleQuestions && !state.settings.shuffleChoices && !state.settings.examMode;
+        this.render();
+    },
+
+    async runPending() {
+        if (this.running) return;
+        this.running = true;
+        this.controller = new AbortController();
+        let cancelled = false;
+
+        const total = this.batches.length;
+        for (let i = 0; i < total; i++) {
+            const batch = this.batches[i];
+            if (batch.status === 'done') continue;
+
+            batch.status = 'running';
+            batch.error = null;
+            batch.format = 'json';
+            this.render();
+            showLoading(total > 1 ? `Generating ${batch.label} (${batch.count} questions)...` : 'Generating questions...');
+
+            try {
+                try {
+                    await this.runBatch(batch, i);
+                } catch (error) {
+                    if (batch.format !== 'json' || !isStructuredOutputError(error)) throw error;
+                    // The model couldn't follow the schema: ask for the rest of the batch in the text format
+                    console.warn(`Gemini batch ${i + 1}: structured output failed, falling back to text.`, error);
+                    batch.format = 'text';
+                    await this.runBatch(batch, i);
+                }
+                batch.status = 'done';
+            } catch (error) {
+                cancelled = error.category === 'cancelled';
+                if (!cancelled) console.error(`Gemini batch ${i + 1} failed:`, error);
+                batch.status = cancelled ? 'cancelled' : 'failed';
+                batch.error = LLMProviders.describeError(error);
+                this.dropUnanswered(batch);
+            }
+            this.render();
+            if (cancelled) break;
+        }
+
+        this.running = false;
+        this.controller = null;
+        hideLoading();
+        this.render();
+        const failed = this.batches.filter(b => b.status === 'failed');
+        if (cancelled) {
+            showGeminiError(this.bank.questions.length > 0
+                ? 'Generation cancelled. Retry to continue, or use the questions so far.'
+                : 'Generation cancelled.');
+        } else if (failed.length === 0) {
+            await this.finish();
+        } else if (failed.length === total) {
+            showGeminiError(failed[0].error);
+        }
+    },
+
+    cancel() {
+        if (this.controller) this.controller.abort();
+    },
+
+    // One request for the questions of a batch that haven't arrived yet, in the batch's current format
+    async runBatch(batch, index) {
+        const count = batch.count - batch.received;
+        if (count <= 0) return;
+
+        batch.questionsById = new Map(); // Batch-local ID -> bank question (null when dropped as a duplicate)
+        batch.answeredIds = new Set();
+
+        const { type, difficulty, sources } = this.context;
+        // A batch planned for one file only sends that file; batches sharing a file and topic split it between them
+        const source = batch.sourceIndex === null ? null : sources[batch.sourceIndex];
+        const siblings = this.batches.filter(b => b.sourceIndex === batch.sourceIndex && b.topic === batch.topic);
+        const scope = {
+            topic: batch.topic,
+            batchIndex: siblings.indexOf(batch),
+            batchTotal: siblings.length,
+            source,
+            fileCount: source ? 1 : sources.length
+        };
+        if (this.context.mistakes) {
+            // Each batch targets its own share of the mistakes
+            scope.mistakes = this.context.mistakes.filter((_, i) => i % this.batches.length === index);
+        }
+        const prompt = buildPrompt(count, type, difficulty, scope, batch.format);
+        const text = await requestCompletion(this.context, {
+            messages: [{ role: 'user', text: prompt }],
+            sources: (source ? [source] : sources).map(s => s.material),
+            schema: batch.format === 'json' ? QUESTION_SCHEMA : null,
+            onText: partial => this.ingest(batch, partial, false),
+            signal: this.controller.signal,
+            onRetry: showRetryCountdown
+        });
+        this.ingest(batch, text, true);
+    },
+
+    ingest(batch, text, final) {
+        if (batch.format === 'json') {
+            this.ingestStructured(batch, text, final);
+        } else {
+            this.ingestText(batch, text, final);
+        }
+    },
+
+    /**
+     * Adds the questions of the streamed JSON that are complete. Each item carries its own answer.
+     * @param {boolean} final - The whole response has arrived; throws if it isn't valid JSON.
+     */
+    ingestStructured(batch, text, final) {
+        const items = final ? parseStructuredResponse(text) : extractCompleteItems(text);
+        items.forEach((item, index) => {
+            const localId = String(index + 1);
+            if (batch.questionsById.has(localId)) return;
+
+            const { question, answer } = questionFromStructured(item, localId);
+            const q = this.addQuestion(batch, question);
+            if (q) this.attachAnswer(q, answer);
+        });
+    },
+
+    /**
+     * Takes the text streamed so far for a batch and adds any questions and answers that are complete.
+     * Until the stream ends, the last question (or answer) may still be growing, so it waits.
+     * @param {boolean} final - The whole response has arrived; throws if it isn't in the two-part format.
+     */
+    ingestText(batch, text, final) {
+        text = cleanGeneratedText(text);
+        const parts = splitCombinedText(text);
+        if (final) {
+            // Reuses the full-response checks (format, empty parts)
+            parseGeneratedText(text);
+        }
+
+        const questionsText = parts ? parts.questionsText : text.replace(/Part 1.*?[-–—].*?Questions/i, '');
+        const questions = parseQuestionsText(questionsText, { source: 'generated' });
+        const completeQuestions = parts || final ? questions : questions.slice(0, -1);
+        completeQuestions.forEach(q => {
+            if (!batch.questionsById.has(q.id)) this.addQuestion(batch, q);
+        });
+
+        if (!parts) return;
+        const answers = parseAnswersList(parts.answersText, { source: 'generated' });
+        const completeAnswers = final ? answers : answers.slice(0, -1);
+        completeAnswers.forEach(answer => {
+            if (batch.answeredIds.has(answer.id)) return;
+            batch.answeredIds.add(answer.id);
+
+            const q = batch.questionsById.get(answer.id);
+            if (q) this.attachAnswer(q, answer);
+        });
+    },
+
+    attachAnswer(q, answer) {
+        const entry = { ...answer, id: q.id, number: q.number };
+        if (this.live) {
+            attachLiveAnswer(q, entry);
+        } else {
+            q.answer = entry;
+        }
+    },
+
+    // Adds a question under the next bank number; returns null if it duplicates one already kept
+    addQuestion(batch, q) {
+        const words = stemWords(q.text);
+        if (this.bank.stems.some(kept => stemSimilarity(kept.words, words) >= DUPLICATE_STEM_SIMILARITY)) {
+            batch.questionsById.set(q.id, null);
+            this.bank.duplicates++;
+            return null;
+        }
+
+        const localId = q.id;
+        q.id = String(this.bank.nextId++);
+        q.number = String(this.bank.questions.length + 1);
+        q.source = batch.label;
+        batch.questionsById.set(localId, q);
+        batch.received++;
+        this.bank.questions.push(q);
+        this.bank.stems.push({ q, words });
+        this.render();
+
+        if (this.live) {
+            if (this.bank.questions.length === 1) beginLiveSession();
+            appendLiveQuestion(q);
+        }
+        return q;
+    },
+
+    // A failed batch keeps the questions whose answers arrived; the rest are removed and renumbered
+    dropUnanswered(batch) {
+        const isUnanswered = (q) => this.live ? q.status === 'awaiting' : !q.answer;
+        const dropped = Array.from(batch.questionsById.values()).filter(q => q && isUnanswered(q));
+        if (dropped.length === 0) return;
+
+        this.bank.questions = this.bank.questions.filter(q => !dropped.includes(q));
+        this.bank.stems = this.bank.stems.filter(kept => !dropped.includes(kept.q));
+        this.bank.questions.forEach((q, index) => { q.number = String(index + 1); });
+        batch.received -= dropped.length;
+
+        if (this.live) {
+            dropped.forEach(removeQuestion);
+            refreshQuestionLabels();
+        }
+    },
+
+    retryFailed() {
+        if (this.running) return;
+        this.batches.forEach(batch => {
+            if (batch.status === 'failed' || batch.status === 'cancelled') batch.status = 'pending';
+        });
+        hideGeminiError();
+        return this.runPending();
+    },
+
+    retryBatch(index) {
+        if (this.running) return;
+        this.batches[index].status = 'pending';
+        hideGeminiError();
+        return this.runPending();
+    },
+
+    // Hands the bank over to the app: finalizes the live session, or loads it now when it wasn't shown live
+    async finish() {
+        const questions = this.bank.questions;
+        if (questions.length === 0 || this.running) return;
+
+        const notes = [];
+        if (this.bank.duplicates > 0) notes.push(`${this.bank.duplicates} near-duplicate question(s) removed`);
+        const failed = this.batches.filter(b => b.status !== 'done').length;
+        if (failed > 0) notes.push(`${failed} unfinished batch(es) left out`);
+
+        if (this.context.verify) {
+            this.running = true;
+            this.controller = new AbortController();
+            try {
+                const disputed = await verifyAnswers(questions, this.context, this.controller.signal);
+                notes.push(disputed > 0 ? `${disputed} disputed answer(s) to review` : 'all answers verified');
+            } catch (error) {
+                // The bank is still usable, just unverified
+                console.error('Gemini verification failed:', error);
+                notes.push(error.category === 'cancelled'
+                    ? 'answer verification cancelled'
+                    : `answer verification failed: ${LLMProviders.describeError(error)}`);
+            }
+            this.running = false;
+            this.controller = null;
+        }
+
+        try {
+            showLoading('Processing generated questions...');
+            const answerEntries = questions
+                .map(q => this.live ? state.answersMap.get(q.id) : q.answer)
+                .filter(Boolean);
+
+            if (this.live) {
+                finishLiveBank(questions, answerEntries);
+            } else {
+                questions.forEach(q => { delete q.answer; });
+                if (this.context.followUp) {
+                    loadFollowUpBank(questions, answerEntries, this.context.followUp);
+                } else {
+                    loadGeneratedBank(questions, answerEntries);
+                }
+            }
+            hideLoading();
+
+            showGeminiError(`✅ ${questions.length} questions generated successfully!${notes.length ? ` (${notes.join('; ')})` : ''} Scroll down to start practicing.`);
+            setTimeout(hideGeminiError, 5000);
+        } catch (error) {
+            hideLoading();
+            console.error('Gemini Error:', error);
+            showGeminiError(`Error: ${error.message}`);
+        }
+    },
+
+    render() {
+        const list = geminiElements.batchList;
+        list.innerHTML = '';
+
+        const statusText = {
+            pending: 'Waiting',
+            running: 'Generating...',
+            done: '',
+            failed: 'Failed',
+            cancelled: 'Cancelled'
+        };
+        const statusClass = {
+            pending: 'text-slate-400 dark:text-slate-500',
+            running: 'text-brand-600 dark:text-brand-400',
+            done: 'text-green-600 dark:text-green-400',
+            failed: 'text-red-600 dark:text-red-400',
+            cancelled: 'text-slate-500 dark:text-slate-400'
+        };
+
+        this.batches.forEach((batch, index) => {
+            const row = document.createElement('li');
+            row.className = 'flex items-center justify-between gap-4 py-1';
+
+            const label = document.createElement('span');
+            label.className = 'truncate';
+            label.textContent = batch.label;
+            label.title = batch.error || batch.label;
+
+            const status = document.createElement('span');
+            status.className = `flex items-center gap-2 text-xs font-medium ${statusClass[batch.status]}`;
+            status.textContent = batch.status === 'running' && batch.received > 0
+                ? `${batch.received} of ${batch.count} questions...`
+                : batch.status === 'done' ? `${batch.received} questions` : statusText[batch.status];
+
+            if (batch.status === 'failed' || batch.status === 'cancelled') {
+                const retry = document.createElement('button');
+                retry.className = 'text-brand-600 dark:text-brand-400 hover:underline';
+                retry.textContent = 'Retry';
+                retry.addEventListener('click', () => this.retryBatch(index));
+                status.appendChild(retry);
+            }
+
+            row.append(label, status);
+            list.appendChild(row);
+        });
+
+        const failed = this.batches.filter(b => b.status === 'failed' || b.status === 'cancelled').length;
+        const done = this.batches.filter(b => b.status === 'done').length;
+        // A single batch only needs the panel to offer its retry
+        geminiElements.batchPanel.classList.toggle('hidden', this.batches.length < 2 && failed === 0);
+        geminiElements.batchSummary.textContent = `${done} of ${this.batches.length} batches done${failed ? `, ${failed} stopped` : ''}`;
+        geminiElements.retryFailedBtn.classList.toggle('hidden', this.running || failed === 0);
+        geminiElements.usePartialBtn.classList.toggle('hidden', this.running || failed === 0 || this.bank.questions.length === 0);
+        geminiElements.usePartialBtn.textContent = `Use ${this.bank.questions.length} Questions So Far`;
+    }
+};
+
 // Gemini Download Manager
 const GeminiDownloadManager = {
     elements: {
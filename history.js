@@ -0,0 +1,127 @@
+/**
+ * Progress History Module
+ * Logs every finished session in IndexedDB and reads trends, the hardest questions and the most
+ * chosen wrong answers back out of the log for the dashboard. Nothing leaves the browser.
+ * Designed to be loaded via <script> tag for local file compatibility.
+ *
+ * An entry (built by buildHistoryEntry in script.js):
+ *   { id, finishedAt, bank, round, mode, total, answered, correct, incorrect, points, maxPoints, percent, durationMs,
+ *     questions: [{ hash, label, text, tags, status, selected, correct, wrongChoices }] }
+ * Questions are keyed by ReviewScheduler.hashQuestion, so renumbered or shuffled copies count together,
+ * and wrong choices are kept as text because letters change with shuffling.
+ */
+
+const ProgressHistory = {
+    STORE: 'history',
+
+    /**
+     * Saves an entry. One with an id replaces the stored entry, so a session finished twice is logged once.
+     * @returns {Promise<number|undefined>} The entry's id (undefined when IndexedDB is unavailable).
+     */
+    record: function (entry) {
+        return AppStorage.put(this.STORE, entry);
+    },
+
+    // Every entry, oldest first
+    getAll: async function () {
+        const entries = (await AppStorage.getAll(this.STORE)) || [];
+        return entries.sort((a, b) => a.finishedAt - b.finishedAt);
+    },
+
+    clear: function () {
+        return AppStorage.run(this.STORE, 'readwrite', store => store.clear());
+    },
+
+    /**
+     * Questions with the highest share of incorrect answers across all sessions.
+     * @returns {Array<{hash, label, text, attempts, misses, missRate}>}
+     */
+    hardestQuestions: function (entries, limit = 10) {
+        const stats = new Map();
+        entries.forEach(entry => entry.questions.forEach(q => {
+            if (q.status !== 'correct' && q.status !== 'incorrect') return;
+            const s = stats.get(q.hash) || { hash: q.hash, attempts: 0, misses: 0 };
+            // The latest wording and number win
+            s.label = q.label;
+            s.text = q.text;
+            s.attempts++;
+            if (q.status === 'incorrect') s.misses++;
+            stats.set(q.hash, s);
+        }));
+
+        return Array.from(stats.values())
+            .filter(s => s.misses > 0)
+            .map(s => ({ ...s, missRate: s.misses / s.attempts }))
+            .sort((a, b) => b.missRate - a.missRate || b.misses - a.misses)
+            .slice(0, limit);
+    },
+
+    /**
+     * Wrong choices picked most often, with how many times their question was answered.
+     * @returns {Array<{hash, label, text, choice, count, attempts}>}
+     */
+    commonDistractors: function (entries, limit = 10) {
+        const attempts = new Map();
+        const picks = new Map();
+        entries.forEach(entry => entry.questions.forEach(q => {
+            if (q.status !== 'correct' && q.status !== 'incorrect') return;
+            attempts.set(q.hash, (attempts.get(q.hash) || 0) + 1);
+
+            (q.wrongChoices || []).forEach(choice => {
+                const key = `${q.hash}\u0000${choice}`;
+                const pick = picks.get(key) || { hash: q.hash, choice, count: 0 };
+                pick.label = q.label;
+                pick.text = q.text;
+                pick.count++;
+                picks.set(key, pick);
+            });
+        }));
+
+        return Array.from(picks.values())
+            .map(pick => ({ ...pick, attempts: attempts.get(pick.hash) }))
+            .sort((a, b) => b.count - a.count || b.count / b.attempts - a.count / a.attempts)
+            .slice(0, limit);
+    },
+
+    /**
+     * Line chart of the session scores as SVG markup. Colors come from Tailwind classes,
+     * so the chart follows the theme.
+     * @param {number} passMark - Drawn as a dashed line, in percent.
+     */
+    trendChart: function (entries, passMark) {
+        const width = 600;
+        const height = 200;
+        const pad = { top: 12, right: 16, bottom: 28, left: 40 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+
+        const x = i => pad.left + (entries.length > 1 ? (i / (entries.length - 1)) * plotWidth : plotWidth / 2);
+        const y = percent => pad.top + (1 - percent / 100) * plotHeight;
+        const esc = text => String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+        const date = time => new Date(time).toLocaleDateString();
+
+        const grid = [0, 50, 100].map(percent => `
+    <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(percent)}" y2="${y(percent)}" class="stroke-slate-200 dark:stroke-slate-600" stroke-width="1"/>
+    <text x="${pad.left - 8}" y="${y(percent) + 4}" text-anchor="end" class="fill-slate-400" font-size="11">${percent}%</text>`).join('');
+
+        const pass = `
+    <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(passMark)}" y2="${y(passMark)}" class="stroke-amber-400" stroke-width="1" stroke-dasharray="4 4"><title>Pass mark ${passMark}%</title></line>`;
+
+        const path = entries.map((entry, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(entry.percent).toFixed(1)}`).join(' ');
+        const dots = entries.map((entry, i) => `
+    <circle cx="${x(i).toFixed(1)}" cy="${y(entry.percent).toFixed(1)}" r="4" class="fill-brand-600"><title>${esc(`${date(entry.finishedAt)} · ${entry.percent}% · ${entry.bank}`)}</title></circle>`).join('');
+
+        const first = entries[0];
+        const last = entries[entries.length - 1];
+        const axis = entries.length > 1
+            ? `
+    <text x="${pad.left}" y="${height - 8}" class="fill-slate-400" font-size="11">${esc(date(first.finishedAt))}</text>
+    <text x="${width - pad.right}" y="${height - 8}" text-anchor="end" class="fill-slate-400" font-size="11">${esc(date(last.finishedAt))}</text>`
+            : `
+    <text x="${x(0)}" y="${height - 8}" text-anchor="middle" class="fill-slate-400" font-size="11">${esc(date(first.finishedAt))}</text>`;
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="Score per session">${grid}${pass}
+    <path d="${path}" fill="none" class="stroke-brand-600" stroke-width="2" stroke-linejoin="round"/>${dots}${axis}
+</svg>`;
+    }
+};
@@ -0,0 +1,434 @@
+/**
+ * Importers Module
+ * Converts GIFT, Moodle XML and CSV question banks into the question/answer objects
+ * produced by parseQuestionsText/parseAnswersText, so they can go straight to processAndRender.
+ * Designed to be loaded via <script> tag for local file compatibility.
+ */
+
+const QuizImporters = {
+    /**
+     * Picks an importer from the file extension. Returns null for the plain text format.
+     */
+    detect: function (fileName) {
+        const ext = fileName.split('.').pop().toLowerCase();
+        if (ext === 'gift') return 'gift';
+        if (ext === 'xml') return 'moodleXml';
+        if (ext === 'csv' || ext === 'tsv') return 'csv';
+        return null;
+    },
+
+    /**
+     * Runs the named importer.
+     * @returns {{questions: Array, answersMap: Map, skipped: Array<{location: string, reason: string}>}}
+     */
+    run: function (format, text) {
+        const result = { questions: [], answersMap: new Map(), skipped: [] };
+        this[format](text, result);
+        return result;
+    },
+
+    /**
+     * Adds one imported item to the result, numbering it after the ones already there.
+     */
+    addItem: function (result, item) {
+        const id = String(result.questions.length + 1);
+        const choices = item.choices.map((text, index) => ({
+            key: String.fromCharCode(65 + index),
+            text
+        }));
+        const correctKeys = item.correctIndexes.map(index => choices[index].key);
+
+        result.questions.push({
+            id,
+            text: item.text,
+            explicitType: item.multiple ? 'MULTIPLE' : 'SINGLE',
+            weight: item.weight || 1,
+            tags: item.tags || [],
+            choices,
+            rawLine: item.line
+        });
+        result.answersMap.set(id, {
+            id,
+            correctKeys,
+            explanation: item.explanation || ''
+        });
+    },
+
+    // --- GIFT ---
+
+    /**
+     * GIFT: multiple choice ({=right ~wrong}), weighted multiple answer ({~%50%a ~%50%b ~%-100%c})
+     * and true/false ({T}/{F}). Other question types are reported as skipped.
+     */
+    gift: function (text, result) {
+        const lines = text.split(/\r?\n/);
+        let block = [];
+        let blockStart = 0;
+        let tags = [];
+
+        const flush = () => {
+            if (block.length > 0) this.parseGiftBlock(block.join('\n'), blockStart, tags, result);
+            block = [];
+            tags = [];
+        };
+
+        lines.forEach((line, i) => {
+            const trimmed = line.trim();
+            // Moodle writes question tags as "// [tag:name]" comments
+            const tagMatch = trimmed.match(/^\/\/\s*\[tag:(.+?)\]/);
+            if (tagMatch) tags.push(tagMatch[1].trim());
+            if (trimmed.startsWith('//')) return;
+            if (trimmed.startsWith('$CATEGORY:')) return;
+
+            if (!trimmed) {
+                flush();
+                return;
+            }
+            if (block.length === 0) blockStart = i + 1;
+            block.push(line);
+        });
+        flush();
+    },
+
+    parseGiftBlock: function (block, line, tags, result) {
+        const location = `line ${line}`;
+        const open = this.findUnescaped(block, '{', 0);
+        const close = open === -1 ? -1 : this.findUnescaped(block, '}', open);
+        if (open === -1 || close === -1) {
+            result.skipped.push({ location, reason: 'No answer block in braces' });
+            return;
+        }
+
+        // Stem: drop the ::title:: and [format] prefix; text after the block is a "missing word" tail
+        let stem = block.slice(0, open).replace(/^\s*::(?:\\:|[^:])*::/, '').replace(/^\s*\[(?:html|markdown|plain|moodle)\]/i, '');
+        const tail = block.slice(close + 1).trim();
+        if (tail) stem = `${stem.trim()} _____ ${tail}`;
+        stem = this.unescapeGift(stem.trim());
+
+        const body = block.slice(open + 1, close).trim();
+
+        // True/false
+        const tfMatch = body.match(/^(T|TRUE|F|FALSE)\b([\s\S]*)$/i);
+        if (tfMatch) {
+            const isTrue = tfMatch[1].toUpperCase().startsWith('T');
+            const feedback = this.splitGiftFeedback(tfMatch[2]).general;
+            this.addItem(result, {
+                text: stem,
+                choices: ['True', 'False'],
+                correctIndexes: [isTrue ? 0 : 1],
+                explanation: feedback,
+                tags,
+                line
+            });
+            return;
+        }
+
+        if (body.startsWith('#')) {
+            result.skipped.push({ location, reason: 'Numerical questions are not supported' });
+            return;
+        }
+        if (!body) {
+            result.skipped.push({ location, reason: 'Essay questions are not supported' });
+            return;
+        }
+
+        const { answers, general } = this.splitGiftFeedback(body);
+        const options = this.splitGiftAnswers(answers);
+
+        if (options.some(o => o.text.includes('->'))) {
+            result.skipped.push({ location, reason: 'Matching questions are not supported' });
+            return;
+        }
+        if (options.length > 0 && options.every(o => o.mark === '=')) {
+            result.skipped.push({ location, reason: 'Short answer questions are not supported' });
+            return;
+        }
+        if (options.length < 2) {
+            result.skipped.push({ location, reason: 'Fewer than two choices' });
+            return;
+        }
+
+        const correctIndexes = [];
+        options.forEach((o, index) => {
+            if (o.mark === '=' || (o.weight !== null && o.weight > 0)) correctIndexes.push(index);
+        });
+        if (correctIndexes.length === 0) {
+            result.skipped.push({ location, reason: 'No correct answer marked' });
+            return;
+        }
+
+        // Per-choice feedback goes into the explanation, keyed by the displayed letter
+        const feedbackLines = options
+            .map((o, index) => o.feedback ? `${String.fromCharCode(65 + index)}: ${o.feedback}` : null)
+            .filter(Boolean);
+        const explanation = [general, ...feedbackLines].filter(Boolean).join('\n');
+
+        this.addItem(result, {
+            text: stem,
+            choices: options.map(o => o.text),
+            correctIndexes,
+            multiple: correctIndexes.length > 1,
+            explanation,
+            tags,
+            line
+        });
+    },
+
+    // Separates the general feedback (####...) from the answer list
+    splitGiftFeedback: function (body) {
+        const idx = body.indexOf('####');
+        if (idx === -1) return { answers: body, general: '' };
+        return {
+            answers: body.slice(0, idx),
+            general: this.unescapeGift(body.slice(idx + 4).trim())
+        };
+    },
+
+    splitGiftAnswers: function (answers) {
+        const options = [];
+        let current = null;
+
+        for (let i = 0; i < answers.length; i++) {
+            const ch = answers[i];
+            if ((ch === '=' || ch === '~') && answers[i - 1] !== '\\') {
+                if (current) options.push(current);
+                current = { mark: ch, raw: '' };
+                continue;
+            }
+            if (current) current.raw += ch;
+        }
+        if (current) options.push(current);
+
+        return options.map(o => {
+            let raw = o.raw.trim();
+            let weight = null;
+            const weightMatch = raw.match(/^%(-?\d+(?:\.\d+)?)%/);
+            if (weightMatch) {
+                weight = parseFloat(weightMatch[1]);
+                raw = raw.slice(weightMatch[0].length);
+            }
+            const hash = this.findUnescaped(raw, '#', 0);
+            const text = hash === -1 ? raw : raw.slice(0, hash);
+            const feedback = hash === -1 ? '' : raw.slice(hash + 1);
+            return {
+                mark: o.mark,
+                weight,
+                text: this.unescapeGift(text.trim()),
+                feedback: this.unescapeGift(feedback.trim())
+            };
+        });
+    },
+
+    findUnescaped: function (text, ch, from) {
+        for (let i = from; i < text.length; i++) {
+            if (text[i] === ch && text[i - 1] !== '\\') return i;
+        }
+        return -1;
+    },
+
+    unescapeGift: function (text) {
+        return text.replace(/\\([~=#{}:\\])/g, '$1').replace(/\\n/g, '\n');
+    },
+
+    // --- Moodle XML ---
+
+    /**
+     * Moodle XML: "multichoice" and "truefalse" questions. Categories are ignored,
+     * other question types are reported as skipped.
+     */
+    moodleXml: function (text, result) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) {
+            throw new Error('The file is not valid XML.');
+        }
+
+        const nodes = Array.from(doc.querySelectorAll('quiz > question'));
+        nodes.forEach((node, index) => {
+            const type = node.getAttribute('type');
+            if (type === 'category') return;
+
+            const name = this.xmlText(node, ':scope > name > text');
+            const location = `question ${index + 1}${name ? ` ("${name}")` : ''}`;
+
+            if (type !== 'multichoice' && type !== 'truefalse') {
+                result.skipped.push({ location, reason: `Question type "${type}" is not supported` });
+                return;
+            }
+
+            const answers = Array.from(node.querySelectorAll(':scope > answer')).map(a => ({
+                text: this.xmlText(a, ':scope > text'),
+                fraction: parseFloat(a.getAttribute('fraction')) || 0,
+                feedback: this.xmlText(a, ':scope > feedback > text')
+            }));
+
+            if (answers.length < 2) {
+                result.skipped.push({ location, reason: 'Fewer than two choices' });
+                return;
+            }
+
+            // <single> defaults to true in Moodle; truefalse questions have one answer by nature
+            const multiple = type === 'multichoice' && this.xmlText(node, ':scope > single') === 'false';
+            const correctIndexes = this.moodleCorrectIndexes(answers, multiple);
+            if (correctIndexes.length === 0) {
+                result.skipped.push({ location, reason: 'No answer with a positive fraction' });
+                return;
+            }
+
+            const feedbackLines = answers
+                .map((a, i) => a.feedback ? `${String.fromCharCode(65 + i)}: ${a.feedback}` : null)
+                .filter(Boolean);
+            const general = this.xmlText(node, ':scope > generalfeedback > text');
+            const tags = Array.from(node.querySelectorAll(':scope > tags > tag > text')).map(t => t.textContent.trim());
+
+            this.addItem(result, {
+                text: this.xmlText(node, ':scope > questiontext > text'),
+                choices: answers.map(a => a.text),
+                correctIndexes,
+                multiple,
+                weight: parseFloat(this.xmlText(node, ':scope > defaultgrade')) || 1,
+                explanation: [general, ...feedbackLines].filter(Boolean).join('\n'),
+                tags,
+                line: index + 1
+            });
+        });
+    },
+
+    /**
+     * The key of a Moodle question: every answer with a positive fraction when several may be picked.
+     * A single-answer question can still give partial credit to a distractor, so only its best answer
+     * (the first with the highest fraction) is the key.
+     */
+    moodleCorrectIndexes: function (answers, multiple) {
+        const positive = answers
+            .map((a, i) => a.fraction > 0 ? i : -1)
+            .filter(i => i !== -1);
+        if (multiple || positive.length === 0) return positive;
+
+        const best = positive.reduce((top, i) => answers[i].fraction > answers[top].fraction ? i : top);
+        return [best];
+    },
+
+    xmlText: function (node, selector) {
+        const el = node.querySelector(selector);
+        return el ? el.textContent.trim() : '';
+    },
+
+    // --- CSV ---
+
+    /**
+     * CSV (or TSV / semicolon-separated) with a header row:
+     *   question, A, B, C, D, ..., correct, explanation, tags
+     * Option columns are any single-letter headers. "correct" holds letters ("B" or "A, C").
+     * Optional columns: "type" (single/multiple), "points". Tags are separated by ";" or "|".
+     */
+    csv: function (text, result) {
+        const rows = this.parseCsv(text);
+        if (rows.length === 0) return;
+
+        const header = rows[0].cells.map(h => h.trim().toLowerCase());
+        const col = (name) => header.indexOf(name);
+        const optionCols = header
+            .map((h, i) => ({ letter: h.replace(/^option\s*/, '').toUpperCase(), index: i }))
+            .filter(c => /^[A-Z]$/.test(c.letter));
+
+        if (col('question') === -1 || col('correct') === -1 || optionCols.length === 0) {
+            throw new Error('CSV header must contain "question", option columns (A, B, ...) and "correct".');
+        }
+
+        rows.slice(1).forEach(row => {
+            const cell = (index) => index === -1 ? '' : (row.cells[index] || '').trim();
+            const location = `line ${row.line}`;
+            if (row.cells.every(c => !c.trim())) return;
+
+            const questionText = cell(col('question'));
+            if (!questionText) {
+                result.skipped.push({ location, reason: 'Empty question text' });
+                return;
+            }
+
+            const options = optionCols
+                .map(c => ({ letter: c.letter, text: cell(c.index) }))
+                .filter(o => o.text);
+            if (options.length < 2) {
+                result.skipped.push({ location, reason: 'Fewer than two choices' });
+                return;
+            }
+
+            const correctLetters = cell(col('correct')).toUpperCase().split(/[\s,;|]+/).filter(Boolean);
+            const correctIndexes = correctLetters.map(l => options.findIndex(o => o.letter === l));
+            if (correctLetters.length === 0 || correctIndexes.includes(-1)) {
+                result.skipped.push({ location, reason: `Correct answer "${cell(col('correct'))}" does not match a choice` });
+                return;
+            }
+
+            const type = cell(col('type')).toLowerCase();
+            this.addItem(result, {
+                text: questionText,
+                choices: options.map(o => o.text),
+                correctIndexes,
+                multiple: type ? type.startsWith('m') : correctIndexes.length > 1,
+                weight: parseFloat(cell(col('points'))) || 1,
+                explanation: cell(col('explanation')),
+                tags: cell(col('tags')).split(/[;|]/).map(t => t.trim()).filter(Boolean),
+                line: row.line
+            });
+        });
+    },
+
+    /**
+     * RFC 4180-style parser: quoted fields may contain delimiters, quotes ("") and newlines.
+     * The delimiter (comma, semicolon or tab) is guessed from the header line.
+     */
+    parseCsv: function (text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = ['\t', ';', ','].reduce((best, d) =>
+            firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+        const rows = [];
+        let cells = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    if (ch === '\n') line++;
+                    field += ch;
+                }
+                continue;
+            }
+
+            if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                cells.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                cells.push(field);
+                rows.push({ cells, line: rowLine });
+                cells = [];
+                field = '';
+                line++;
+                rowLine = line;
+            } else {
+                field += ch;
+            }
+        }
+        if (field || cells.length > 0) {
+            cells.push(field);
+            rows.push({ cells, line: rowLine });
+        }
+
+        return rows;
+    }
+};
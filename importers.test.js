@@ -0,0 +1,54 @@
+/**
+ * Tests for importers.js. The Moodle XML reader needs the browser's DOMParser, so its answer key
+ * rules are tested on the answers it reads out of the XML.
+ * Run with: node --test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// importers.js is a plain browser script; evaluating it here keeps its arrays comparable with deepEqual
+const QuizImporters = new Function(`${fs.readFileSync(path.join(__dirname, 'importers.js'), 'utf8')}\nreturn QuizImporters;`)();
+
+// Answers as moodleXml reads them from <answer fraction="..."><text>...</text></answer>
+const answers = (...fractions) => fractions.map((fraction, i) => ({ text: `Choice ${i + 1}`, fraction, feedback: '' }));
+
+describe('Moodle XML answer key', () => {
+    it('keys a <single>true</single> question on its best answer, even when a distractor earns partial credit', () => {
+        // <answer fraction="50">, <answer fraction="100">, <answer fraction="0">
+        assert.deepEqual(QuizImporters.moodleCorrectIndexes(answers(50, 100, 0), false), [1]);
+        assert.deepEqual(QuizImporters.moodleCorrectIndexes(answers(100, 100, 0), false), [0]);
+    });
+
+    it('keys a <single>false</single> question on every answer with a positive fraction', () => {
+        // <answer fraction="50">, <answer fraction="-100">, <answer fraction="50">
+        assert.deepEqual(QuizImporters.moodleCorrectIndexes(answers(50, -100, 50), true), [0, 2]);
+    });
+
+    it('gives no key when no answer has a positive fraction', () => {
+        assert.deepEqual(QuizImporters.moodleCorrectIndexes(answers(0, -50), false), []);
+        assert.deepEqual(QuizImporters.moodleCorrectIndexes(answers(0, -50), true), []);
+    });
+});
+
+describe('GIFT', () => {
+    it('imports a single answer question with its feedback and Moodle tags', () => {
+        const result = QuizImporters.run('gift', [
+            '// [tag:arithmetic]',
+            '::Q1:: What is 2+2? {',
+            '  ~3 # Off by one',
+            '  =4',
+            '}'
+        ].join('\n'));
+
+        assert.equal(result.questions.length, 1);
+        const [q] = result.questions;
+        assert.equal(q.explicitType, 'SINGLE');
+        assert.deepEqual(q.tags, ['arithmetic']);
+        assert.deepEqual(q.choices.map(c => c.text), ['3', '4']);
+        assert.deepEqual(result.answersMap.get(q.id).correctKeys, ['B']);
+        assert.match(result.answersMap.get(q.id).explanation, /Off by one/);
+    });
+});
@@ -0,0 +1,303 @@
+/**
+ * LLM Providers Module
+ * Transport for the generation pipeline: Google Gemini, or any OpenAI-compatible chat endpoint
+ * (OpenAI, a local Ollama or llama.cpp server, ...). Prompts and parsing stay in gemini.js.
+ * Designed to be loaded via <script> tag for local file compatibility.
+ *
+ * Every provider takes the same request and resolves to the response text:
+ *   {
+ *     model, apiKey, baseUrl,
+ *     system,      // optional standing instruction
+ *     messages,    // [{role: 'user'|'model', text}]; the sources go with the first one
+ *     sources,     // optional list: {name, fileData, mimeType} for providers that accept files, {name, text} otherwise
+ *     schema,      // optional response schema (Gemini's dialect) for JSON output
+ *     onText,      // optional: stream, reporting the full text received so far
+ *     signal       // optional AbortSignal to cancel the request
+ *   }
+ *
+ * Failures are thrown as LLMError with a category, so callers can retry or explain them.
+ */
+
+/**
+ * A failed request, sorted into a category: 'invalid-key', 'quota', 'overloaded', 'safety',
+ * 'empty', 'truncated', 'network', 'cancelled' or 'request' (anything else the API rejected).
+ * Quota (429) and overload (5xx) errors are worth retrying; retryAfterMs is the server's hint, if any.
+ */
+class LLMError extends Error {
+    constructor(category, message, retryAfterMs = null) {
+        super(message);
+        this.name = 'LLMError';
+        this.category = category;
+        this.retryable = category === 'quota' || category === 'overloaded';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// What each category means for the user and what to do about it
+const LLM_ERROR_GUIDANCE = {
+    'invalid-key': {
+        title: 'Invalid API key',
+        advice: 'Check the key (Gemini keys come from Google AI Studio), or that the endpoint accepts it.'
+    },
+    quota: {
+        title: 'Quota or rate limit exceeded',
+        advice: 'Wait a minute and retry, lower the batch size, switch to a lighter model, or check your plan\'s limits.'
+    },
+    overloaded: {
+        title: 'The model is overloaded',
+        advice: 'Retry in a few minutes, or switch to another model.'
+    },
+    safety: {
+        title: 'Blocked by safety filters',
+        advice: 'The material or the response was flagged. Try another part of the material, or another model.'
+    },
+    empty: {
+        title: 'Empty response',
+        advice: 'The model returned no answer. Retry, or try another model.'
+    },
+    truncated: {
+        title: 'The response was cut off',
+        advice: 'Lower the batch size so each request asks for fewer questions, then retry.'
+    },
+    network: {
+        title: 'Could not reach the endpoint',
+        advice: 'Check your connection. For a local server, check that it is running and allows requests from this page (CORS).'
+    },
+    cancelled: {
+        title: 'Cancelled',
+        advice: ''
+    }
+};
+
+const LLMProviders = {
+    gemini: {
+        label: 'Google Gemini',
+        acceptsFiles: true,
+        requiresKey: true,
+
+        async generate({ model, apiKey, system, messages, sources = [], schema, onText, signal }) {
+            const contents = messages.map(message => ({ role: message.role, parts: [{ text: message.text }] }));
+            // With several files, each is preceded by its name so the prompt can refer to it
+            const fileParts = sources.flatMap(source => {
+                const data = { inlineData: { mimeType: source.mimeType, data: source.fileData } };
+                return sources.length > 1 ? [{ text: `Source file: ${source.name}` }, data] : [data];
+            });
+            contents[0].parts.unshift(...fileParts);
+
+            const body = { contents };
+            if (system) body.systemInstruction = { parts: [{ text: system }] };
+            if (schema) body.generationConfig = { responseMimeType: 'application/json', responseSchema: schema };
+
+            const base = `https://generativelanguage.googleapis.com/v1beta/models/${model}`;
+            const extract = data => {
+                if (data.error) throw LLMProviders.apiError(data.error.code || 500, data.error);
+                if (data.promptFeedback?.blockReason) {
+                    throw new LLMError('safety', `The request was blocked (${data.promptFeedback.blockReason}).`);
+                }
+                const candidate = data.candidates?.[0];
+                const parts = candidate?.content?.parts || [];
+                return {
+                    text: parts.map(part => part.text || '').join(''),
+                    finish: candidate?.finishReason === 'MAX_TOKENS' ? 'length'
+                        : /SAFETY|PROHIBITED_CONTENT|BLOCKLIST|SPII|RECITATION/.test(candidate?.finishReason || '') ? 'safety'
+                            : null
+                };
+            };
+
+            if (!onText) {
+                const response = await LLMProviders.post(`${base}:generateContent?key=${apiKey}`, {}, body, signal);
+                const result = extract(await response.json());
+                return LLMProviders.checkResult(result.text, result.finish);
+            }
+            const response = await LLMProviders.post(`${base}:streamGenerateContent?alt=sse&key=${apiKey}`, {}, body, signal);
+            return LLMProviders.readEventStream(response, extract, onText);
+        }
+    },
+
+    openai: {
+        label: 'OpenAI-compatible',
+        acceptsFiles: false,
+        requiresKey: false, // Local servers usually run without one
+
+        async generate({ model, apiKey, baseUrl, system, messages, sources = [], schema, onText, signal }) {
+            if (!baseUrl) throw new Error('Enter the base URL of the OpenAI-compatible endpoint.');
+            if (!model) throw new Error('Enter the model name to use.');
+
+            const chat = messages.map(message => ({
+                role: message.role === 'model' ? 'assistant' : 'user',
+                content: message.text
+            }));
+            if (sources.length > 0) {
+                const material = sources.map(source => `Source material (${source.name}):\n\n${source.text}`).join('\n\n---\n\n');
+                chat[0].content = `${material}\n\n---\n\n${chat[0].content}`;
+            }
+            if (system) chat.unshift({ role: 'system', content: system });
+
+            const body = { model, messages: chat, stream: Boolean(onText) };
+            if (schema) {
+                body.response_format = {
+                    type: 'json_schema',
+                    json_schema: { name: 'response', strict: false, schema: LLMProviders.toJsonSchema(schema) }
+                };
+            }
+
+            const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+            const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+            const finishOf = choice => choice?.finish_reason === 'length' ? 'length'
+                : choice?.finish_reason === 'content_filter' ? 'safety' : null;
+
+            if (!onText) {
+                const response = await LLMProviders.post(url, headers, body, signal);
+                const choice = (await response.json()).choices?.[0];
+                return LLMProviders.checkResult(choice?.message?.content || '', finishOf(choice));
+            }
+            const response = await LLMProviders.post(url, headers, body, signal);
+            return LLMProviders.readEventStream(response, data => {
+                if (data.error) throw LLMProviders.apiError(data.error.code || 500, data.error);
+                const choice = data.choices?.[0];
+                return { text: choice?.delta?.content || '', finish: finishOf(choice) };
+            }, onText);
+        }
+    },
+
+    get(id) {
+        return this[id] && this[id].generate ? this[id] : this.gemini;
+    },
+
+    // --- Shared Transport ---
+
+    async post(url, headers, body, signal) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...headers
+                },
+                body: JSON.stringify(body),
+                signal
+            });
+        } catch (error) {
+            throw this.transportError(error);
+        }
+
+        if (!response.ok) {
+            // Both APIs report {error: {message}}
+            const errorData = await response.json().catch(() => ({}));
+            const retryAfter = Number(response.headers.get('Retry-After'));
+            throw this.apiError(response.status, {
+                message: errorData.error?.message || `API Error: ${response.status} ${response.statusText}`,
+                details: errorData.error?.details
+            }, retryAfter > 0 ? retryAfter * 1000 : null);
+        }
+        return response;
+    },
+
+    // Sorts an HTTP error status (and the API's error body) into an LLMError
+    apiError(status, error, retryAfterMs = null) {
+        const message = error.message || `API Error: ${status}`;
+
+        // Gemini puts its retry hint in the details, e.g. {retryDelay: "37s"}
+        const retryInfo = (error.details || []).find(detail => detail.retryDelay);
+        if (!retryAfterMs && retryInfo) retryAfterMs = parseFloat(retryInfo.retryDelay) * 1000 || null;
+
+        if (status === 401 || status === 403 || /api key not valid|invalid api key|API_KEY_INVALID|incorrect api key/i.test(message)) {
+            return new LLMError('invalid-key', message);
+        }
+        if (status === 429) return new LLMError('quota', message, retryAfterMs);
+        if (status >= 500) return new LLMError('overloaded', message, retryAfterMs);
+        return new LLMError('request', message);
+    },
+
+    transportError(error) {
+        if (error instanceof LLMError) return error;
+        if (error.name === 'AbortError') return new LLMError('cancelled', 'The request was cancelled.');
+        return new LLMError('network', error.message);
+    },
+
+    // Turns a finished response into its text, or the reason there isn't a usable one
+    checkResult(text, finish) {
+        if (finish === 'safety') throw new LLMError('safety', 'The response was blocked by safety filters.');
+        if (finish === 'length') throw new LLMError('truncated', 'The response reached the output limit before it was complete.');
+        if (!text) throw new LLMError('empty', 'No response generated. Please try again.');
+        return text;
+    },
+
+    // "<title>: <message>. <advice>" for display
+    describeError(error) {
+        const guidance = LLM_ERROR_GUIDANCE[error.category];
+        if (!guidance) return `Error: ${error.message}`;
+        if (error.category === 'cancelled') return guidance.title;
+        return `${guidance.title}: ${error.message.replace(/\.?$/, '.')} ${guidance.advice}`;
+    },
+
+    /**
+     * Reads a server-sent event stream and reports the accumulated text after every chunk.
+     * @param {Function} extract - Returns {text, finish} for one parsed event; finish is 'length', 'safety' or null.
+     * @returns {Promise<string>} The complete response text.
+     */
+    async readEventStream(response, extract, onText) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let finish = null;
+
+        while (true) {
+            let chunk;
+            try {
+                chunk = await reader.read();
+            } catch (error) {
+                throw this.transportError(error);
+            }
+            const { done, value } = chunk;
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+            // Each event is "data: <json>" followed by a blank line
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const event = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                const data = event.split('\n')
+                    .filter(line => line.startsWith('data:'))
+                    .map(line => line.slice(5).trim())
+                    .join('');
+                // OpenAI-compatible streams end with "data: [DONE]"
+                if (!data || data === '[DONE]') continue;
+
+                const piece = extract(JSON.parse(data));
+                finish = piece.finish || finish;
+                if (piece.text) {
+                    text += piece.text;
+                    onText(text);
+                }
+            }
+        }
+
+        return this.checkResult(text, finish);
+    },
+
+    // Gemini's schema dialect (upper-case types, propertyOrdering) as plain JSON Schema
+    toJsonSchema(schema) {
+        if (Array.isArray(schema)) return schema.map(item => this.toJsonSchema(item));
+        if (!schema || typeof schema !== 'object') return schema;
+
+        const converted = {};
+        Object.entries(schema).forEach(([key, value]) => {
+            if (key === 'propertyOrdering') return;
+            if (key === 'type') {
+                converted.type = String(value).toLowerCase();
+            } else if (key === 'properties') {
+                converted.properties = {};
+                Object.entries(value).forEach(([name, prop]) => { converted.properties[name] = this.toJsonSchema(prop); });
+            } else {
+                converted[key] = this.toJsonSchema(value);
+            }
+        });
+        return converted;
+    }
+};
@@ -0,0 +1,388 @@
+/**
+ * Quiz Core Module
+ * DOM-free parsing, answer matching, type inference and grading.
+ * Shared by the browser UI (window.QuizCore via <script> tag) and Node (require('./quiz-core.js')).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.QuizCore = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    // --- Parsing ---
+
+    /**
+     * Parses the "Q1 [Single]: ..." question format.
+     * @param {string} text
+     * @param {{source?: string, firstLine?: number}} options - File name and the line the text starts on,
+     *   recorded on each question for the validation report.
+     */
+    function parseQuestionsText(text, options = {}) {
+        const lines = text.split(/\r?\n/);
+        const questions = [];
+        const firstLine = options.firstLine || 1;
+        let currentQ = null;
+
+        // Regex helpers
+        const qStartRegex = /^(?:Q)?(\d+)[\.:\s]*(?:\[(Single|Multiple)\])?\s*(.*)/i;
+        const choiceRegex = /^\s*([A-Z])[\.\)]\s*(.*)/;
+        // Point weight right after the type tag, e.g. "(2 pts):"; elsewhere it is part of the text
+        const weightRegex = /^\s*\((\d+(?:\.\d+)?)\s*(?:pts?|points?|marks?)\)/i;
+        // Tags after the type tag and weight: labelled ("{topic: convexity, chapter 3}", which may be followed
+        // by "(Select all that apply)") or right before the header's ":" ("{convexity}:"). Other braces belong to the text.
+        const tagsRegex = /^\s*\{(\s*(?:topics?|tags?)\s*:[^{}]*)\}|^\s*\{([^{}]*)\}(?=\s*:)/i;
+
+        for (let i = 0; i < lines.length; i++) {
+            const rawLine = lines[i];
+            const trimmedLine = rawLine.trim();
+            if (!trimmedLine) continue;
+
+            // Check for new Question start
+            const qMatch = trimmedLine.match(qStartRegex);
+            if (qMatch) {
+                // Save previous question
+                if (currentQ) questions.push(currentQ);
+
+                // Optional point weight, e.g. "Q3 [Single] (2 pts): ..."
+                let headerText = qMatch[3] || '';
+                const weightMatch = headerText.match(weightRegex);
+                if (weightMatch) headerText = headerText.replace(weightRegex, '');
+                const tagsMatch = headerText.match(tagsRegex);
+                if (tagsMatch) headerText = headerText.slice(tagsMatch[0].length).trimStart();
+
+                currentQ = {
+                    id: qMatch[1], // String ID
+                    text: headerText, // Initial text might be on same line
+                    explicitType: qMatch[2] ? qMatch[2].toUpperCase() : null,
+                    weight: weightMatch ? parseFloat(weightMatch[1]) : 1,
+                    tags: tagsMatch ? parseTags(tagsMatch[1] ?? tagsMatch[2]) : [],
+                    choices: [],
+                    source: options.source || null,
+                    rawLine: firstLine + i
+                };
+
+                // If text was empty on first line, it might be on next lines (handled by default else)
+                continue;
+            }
+
+            // Check for Choice
+            const cMatch = trimmedLine.match(choiceRegex);
+            if (cMatch && currentQ) {
+                currentQ.choices.push({
+                    key: cMatch[1].toUpperCase(),
+                    text: cMatch[2]
+                });
+                continue;
+            }
+
+            // Append to current question text if it's not a choice and we have a question open
+            if (currentQ) {
+                if (currentQ.choices.length > 0) {
+                    // Multiline choice
+                    currentQ.choices[currentQ.choices.length - 1].text += '\n' + rawLine.trimEnd();
+                } else {
+                    // Multiline question text
+                    currentQ.text += (currentQ.text ? '\n' : '') + rawLine.trimEnd();
+                }
+            }
+        }
+        if (currentQ) questions.push(currentQ);
+
+        return questions;
+    }
+
+    // "topic: convexity, chapter 3" → ['convexity', 'chapter 3']; the "topic:"/"tags:" label is optional
+    function parseTags(text) {
+        return text.replace(/^\s*(?:topics?|tags?)\s*:/i, '')
+            .split(',')
+            .map(tag => tag.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Parses the "1. Correct: B" answer format into a list, keeping duplicates for validation.
+     * @param {string} text
+     * @param {{source?: string, firstLine?: number}} options - See parseQuestionsText.
+     */
+    function parseAnswersList(text, options = {}) {
+        const lines = text.split(/\r?\n/);
+        const answers = [];
+        const firstLine = options.firstLine || 1;
+        let currentA = null;
+
+        // Regex helpers
+        const aStartRegex = /^(\d+)[\.:\s]*Correct:\s*([A-Z](?:\s*,\s*[A-Z])*)/i;
+        const expStartRegex = /^\s*Explanation:\s*(.*)/i;
+
+        for (let i = 0; i < lines.length; i++) {
+            const rawLine = lines[i];
+            const trimmedLine = rawLine.trim();
+            if (!trimmedLine) continue;
+
+            const aMatch = trimmedLine.match(aStartRegex);
+            if (aMatch) {
+                if (currentA) answers.push(currentA);
+
+                const keys = aMatch[2].split(',').map(k => k.trim().toUpperCase());
+                currentA = {
+                    id: aMatch[1],
+                    correctKeys: keys,
+                    explanation: '',
+                    source: options.source || null,
+                    rawLine: firstLine + i
+                };
+                continue;
+            }
+
+            const expMatch = trimmedLine.match(expStartRegex);
+            if (expMatch && currentA) {
+                currentA.explanation = expMatch[1];
+                continue;
+            }
+
+            // Append multiline explanation
+            if (currentA) {
+                currentA.explanation += (currentA.explanation ? '\n' : '') + rawLine.trimEnd();
+            }
+        }
+        if (currentA) answers.push(currentA);
+
+        return answers;
+    }
+
+    // Key: ID, Value: { correctKeys: [], explanation: '' }. Later duplicates win.
+    function buildAnswersMap(answerEntries) {
+        return new Map(answerEntries.map(a => [a.id, a]));
+    }
+
+    function parseAnswersText(text, options = {}) {
+        return buildAnswersMap(parseAnswersList(text, options));
+    }
+
+    /**
+     * Splits a combined text on its "Part 2 - Answers" (or "Answer Key and Explanations") heading.
+     * Returns null when the text has no answers section. *Line fields are the 1-based line each part starts on.
+     */
+    function splitCombinedText(text) {
+        const marker = text.match(/(?:Part 2.*?[-–—].*?Answers|Answer Key and Explanations)/i);
+        if (!marker) return null;
+
+        // Questions start after an optional "Part 1 - Questions" heading
+        const heading = text.slice(0, marker.index).match(/Part 1.*?[-–—].*?Questions/i);
+        const questionsStart = heading ? heading.index + heading[0].length : 0;
+        const questionsRaw = text.slice(questionsStart, marker.index);
+        const answersStart = marker.index + marker[0].length;
+        const answersRaw = text.slice(answersStart);
+        const lineOf = (offset) => text.slice(0, offset).split('\n').length;
+        const leading = (raw) => raw.length - raw.trimStart().length;
+
+        return {
+            questionsText: questionsRaw.trim(),
+            answersText: answersRaw.trim(),
+            questionsLine: lineOf(questionsStart + leading(questionsRaw)),
+            answersLine: lineOf(answersStart + leading(answersRaw))
+        };
+    }
+
+    // --- Matching ---
+
+    // An explicit [Single]/[Multiple] tag wins; otherwise several correct keys mean MULTIPLE
+    function inferType(q) {
+        if (q.explicitType) return q.explicitType;
+        return q.correctKeys.length > 1 ? 'MULTIPLE' : 'SINGLE';
+    }
+
+    /**
+     * Attaches an answer to its question and sets correctKeys, explanation, type and initial status.
+     * Questions without an answer become 'ungraded'.
+     */
+    function matchAnswer(q, answer) {
+        if (!answer) {
+            q.status = 'ungraded';
+            q.explanation = "No answer key found.";
+            q.correctKeys = [];
+        } else {
+            q.correctKeys = answer.correctKeys;
+            q.explanation = answer.explanation;
+            q.status = 'unanswered';
+        }
+        q.type = inferType(q);
+        return q;
+    }
+
+    // --- Validation ---
+
+    // Display label for a question: its number as written in the file, not the namespaced ID
+    function questionLabel(q) {
+        return `Q${q.number || q.id}`;
+    }
+
+    // Question text without what the parser keeps from the header: the ":" of "Q1 [Single]: ..."
+    // and a "(Select all that apply)" hint before it
+    function questionStem(q) {
+        return (q.text || '').replace(/^\s*(?:\(select all that apply\)\s*)?:\s*/i, '');
+    }
+
+    function formatLocation(source, line) {
+        return `${source || 'input'}:${line || '?'}`;
+    }
+
+    /**
+     * Checks a parsed bank for problems the parsers let through silently.
+     * @returns {Array<{source: string|null, line: number|null, message: string}>} Sorted by file and line.
+     */
+    function validateBank(questions, answerEntries) {
+        const issues = [];
+        const add = (item, message) => issues.push({ source: item.source || null, line: item.rawLine || null, message });
+
+        const questionsById = new Map();
+        questions.forEach(q => {
+            const first = questionsById.get(q.id);
+            if (first) {
+                add(q, `Duplicate question ID ${questionLabel(q)} (first defined at ${formatLocation(first.source, first.rawLine)})`);
+            } else {
+                questionsById.set(q.id, q);
+            }
+            if (q.choices.length < 2) {
+                add(q, `${questionLabel(q)} has ${q.choices.length} choice(s); at least two are needed`);
+            }
+        });
+
+        const answersById = new Map();
+        answerEntries.forEach(a => {
+            const first = answersById.get(a.id);
+            if (first) {
+                add(a, `Duplicate answer for ${a.number || a.id} (first defined at ${formatLocation(first.source, first.rawLine)}); this one overrides it`);
+            }
+            answersById.set(a.id, a);
+        });
+
+        answersById.forEach(a => {
+            const q = questionsById.get(a.id);
+            if (!q) {
+                add(a, `Answer ${a.number || a.id} has no matching question`);
+                return;
+            }
+
+            const validKeys = q.choices.map(c => c.key);
+            const invalidKeys = a.correctKeys.filter(k => !validKeys.includes(k));
+            if (invalidKeys.length > 0) {
+                add(a, `Answer ${a.number || a.id}: ${invalidKeys.join(', ')} is not a choice of ${questionLabel(q)} (choices: ${validKeys.join(', ') || 'none'})`);
+            }
+            if (q.explicitType === 'SINGLE' && a.correctKeys.length > 1) {
+                add(q, `${questionLabel(q)} is tagged [Single] but its answer lists ${a.correctKeys.join(', ')}`);
+            }
+        });
+
+        questionsById.forEach(q => {
+            if (!answersById.has(q.id)) add(q, `${questionLabel(q)} has no answer`);
+        });
+
+        return issues.sort((a, b) =>
+            (a.source || '').localeCompare(b.source || '') || (a.line || 0) - (b.line || 0));
+    }
+
+    // --- Grading ---
+
+    /**
+     * Practice-mode rules after a click on `latestKey` with `selectedKeys` ticked:
+     * SINGLE is final on the first pick. MULTIPLE fails as soon as a wrong option is ticked,
+     * succeeds once every correct option is ticked, and stays 'pending' in between (progressive reveal).
+     * @returns {'correct'|'incorrect'|'pending'}
+     */
+    function evaluateSelection(q, selectedKeys, latestKey) {
+        if (q.type === 'SINGLE') {
+            return q.correctKeys.includes(latestKey) ? 'correct' : 'incorrect';
+        }
+
+        if (!q.correctKeys.includes(latestKey)) return 'incorrect';
+
+        const allCorrectSelected = q.correctKeys.every(k => selectedKeys.includes(k));
+        const noIncorrectSelected = selectedKeys.every(k => q.correctKeys.includes(k));
+        return allCorrectSelected && noIncorrectSelected ? 'correct' : 'pending';
+    }
+
+    // A selection is correct when it matches the answer key exactly (exam mode, CLI)
+    function gradeSelection(q, selectedKeys) {
+        const sameSize = selectedKeys.length === q.correctKeys.length;
+        return sameSize && q.correctKeys.every(k => selectedKeys.includes(k)) ? 'correct' : 'incorrect';
+    }
+
+    /**
+     * Points earned for a selection.
+     * @param {{scoringPolicy: string, negativeMarking: number}} settings - 'all-or-nothing', 'partial'
+     *   or 'partial-penalty', and the fraction of the weight a wrong Single Choice answer costs.
+     */
+    function scoreSelection(q, selectedKeys, settings) {
+        const weight = q.weight || 1;
+        const { scoringPolicy, negativeMarking } = settings;
+        const correctPicked = selectedKeys.filter(k => q.correctKeys.includes(k)).length;
+        const wrongPicked = selectedKeys.length - correctPicked;
+
+        if (q.type === 'SINGLE') {
+            if (correctPicked > 0 && wrongPicked === 0) return weight;
+            return wrongPicked > 0 && negativeMarking > 0 ? -negativeMarking * weight : 0;
+        }
+
+        if (scoringPolicy === 'all-or-nothing') {
+            return gradeSelection(q, selectedKeys) === 'correct' ? weight : 0;
+        }
+
+        const perOption = weight / q.correctKeys.length;
+        if (scoringPolicy === 'partial') {
+            return correctPicked * perOption;
+        }
+        // 'partial-penalty': each wrong tick cancels a right one, never below zero
+        return Math.max(0, (correctPicked - wrongPicked) * perOption);
+    }
+
+    // --- Formatting ---
+
+    /**
+     * Writes matched questions back in the "Q1 [Single] (2 pts) {topic: ...}: ..." format. Parsing the result gives the same bank.
+     */
+    function formatQuestionsText(questions) {
+        return questions.map(q => {
+            const tag = q.type === 'MULTIPLE' ? 'Multiple' : 'Single';
+            const hint = q.type === 'MULTIPLE' ? ' (Select all that apply)' : '';
+            const weight = (q.weight || 1) !== 1 ? ` (${q.weight} pts)` : '';
+            // Commas and braces would split or end the tag list
+            const tags = (q.tags || []).length > 0
+                ? ` {topic: ${q.tags.map(t => t.replace(/[,{}\r\n]+/g, ' ').trim()).join(', ')}}`
+                : '';
+            const text = questionStem(q);
+            const choices = q.choices.map(c => `${c.key}. ${c.text}`).join('\n');
+            return `Q${q.number || q.id} [${tag}]${weight}${tags}${hint}: ${text}\n${choices}`;
+        }).join('\n\n') + '\n';
+    }
+
+    // Writes the answer key in the "1. Correct: B" format, leaving out questions without one
+    function formatAnswersText(questions) {
+        return questions.filter(q => q.correctKeys.length > 0).map(q => {
+            const explanation = q.explanation ? `\n   Explanation: ${q.explanation}` : '';
+            return `${q.number || q.id}. Correct: ${q.correctKeys.join(', ')}${explanation}`;
+        }).join('\n\n') + '\n';
+    }
+
+    return {
+        parseQuestionsText,
+        parseAnswersList,
+        parseAnswersText,
+        buildAnswersMap,
+        splitCombinedText,
+        inferType,
+        matchAnswer,
+        questionLabel,
+        questionStem,
+        formatLocation,
+        validateBank,
+        evaluateSelection,
+        gradeSelection,
+        scoreSelection,
+        formatQuestionsText,
+        formatAnswersText
+    };
+}));
@@ -0,0 +1,263 @@
+/**
+ * Tests for quiz-core.js: the README sample formats, multiline content, grading rules and formatting.
+ * Run with: node --test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const QuizCore = require('./quiz-core.js');
+
+// The first code block under a "### <heading>" of the README, so the tests follow the documented samples
+function readmeSample(heading) {
+    const readme = fs.readFileSync(path.join(__dirname, 'README.md'), 'utf8').replace(/\r\n/g, '\n');
+    const section = readme.slice(readme.indexOf(`### ${heading}\n`));
+    const match = section.match(/```text\n([\s\S]*?)```/);
+    assert.ok(match, `README has a text sample under "${heading}"`);
+    return match[1];
+}
+
+// Parses and matches a bank the way the app and the CLI do
+function loadBank(questionsText, answersText) {
+    const questions = QuizCore.parseQuestionsText(questionsText);
+    const answersMap = QuizCore.parseAnswersText(answersText);
+    questions.forEach(q => QuizCore.matchAnswer(q, answersMap.get(q.id)));
+    return questions;
+}
+
+describe('README samples', () => {
+    it('parses the questions file', () => {
+        const questions = QuizCore.parseQuestionsText(readmeSample('Questions File'), { source: 'questions.txt' });
+
+        assert.equal(questions.length, 2);
+        assert.deepEqual(questions.map(q => q.id), ['1', '2']);
+        assert.deepEqual(questions.map(q => q.explicitType), ['SINGLE', 'MULTIPLE']);
+        assert.match(questions[0].text, /^: A team trains a shallow logistic regression model/);
+        assert.match(questions[1].text, /^\(Select all that apply\): Which factors contributed/);
+        assert.deepEqual(questions[0].choices.map(c => c.key), ['A', 'B', 'C', 'D']);
+        assert.equal(questions[1].choices[2].text, 'Increased computational power via GPUs/TPUs.');
+        assert.deepEqual(questions.map(q => q.rawLine), [3, 9]);
+        assert.equal(questions[0].source, 'questions.txt');
+    });
+
+    it('parses the answers file', () => {
+        const answers = QuizCore.parseAnswersList(readmeSample('Answers File'));
+
+        assert.equal(answers.length, 2);
+        assert.deepEqual(answers[0].correctKeys, ['B']);
+        assert.deepEqual(answers[1].correctKeys, ['B', 'C', 'D']);
+        assert.match(answers[1].explanation, /^The resurgence is attributed to large labeled datasets/);
+        assert.deepEqual(answers.map(a => a.rawLine), [3, 6]);
+    });
+
+    it('matches the questions file with the answers file', () => {
+        const questions = loadBank(readmeSample('Questions File'), readmeSample('Answers File'));
+
+        assert.deepEqual(questions.map(q => q.type), ['SINGLE', 'MULTIPLE']);
+        assert.deepEqual(questions.map(q => q.status), ['unanswered', 'unanswered']);
+        assert.deepEqual(QuizCore.validateBank(questions, QuizCore.parseAnswersList(readmeSample('Answers File'))), []);
+    });
+
+    it('splits the combined file on its answers heading', () => {
+        const text = readmeSample('Combined File');
+        const parts = QuizCore.splitCombinedText(text);
+
+        assert.ok(parts);
+        assert.match(parts.questionsText, /^Q1 \[Single\]: \.\.\./);
+        assert.match(parts.answersText, /^1\. Correct: B/);
+        assert.equal(text.split('\n')[parts.questionsLine - 1], 'Q1 [Single]: ...');
+        assert.equal(text.split('\n')[parts.answersLine - 1], '1. Correct: B');
+
+        const questions = QuizCore.parseQuestionsText(parts.questionsText, { firstLine: parts.questionsLine });
+        const answers = QuizCore.parseAnswersList(parts.answersText, { firstLine: parts.answersLine });
+        assert.equal(questions[0].rawLine, parts.questionsLine);
+        assert.equal(answers[0].rawLine, parts.answersLine);
+        assert.equal(answers[0].explanation, '...');
+    });
+
+    it('also splits on "Answer Key and Explanations", and returns null without an answers section', () => {
+        const parts = QuizCore.splitCombinedText(`${readmeSample('Questions File')}\n${readmeSample('Answers File')}`);
+        assert.equal(QuizCore.parseQuestionsText(parts.questionsText).length, 2);
+        assert.equal(QuizCore.parseAnswersList(parts.answersText).length, 2);
+
+        assert.equal(QuizCore.splitCombinedText(readmeSample('Questions File')), null);
+    });
+});
+
+describe('multiline content', () => {
+    const questionsText = [
+        'Q1 [Single]:',
+        'What does this print?',
+        '```js',
+        'console.log(1 + 2);',
+        '```',
+        'A. The number',
+        '   three, as a number',
+        'B. ```',
+        '   "12"',
+        '   ```',
+        'C. Nothing'
+    ].join('\n');
+
+    it('appends lines to the question text until the first choice', () => {
+        const [q] = QuizCore.parseQuestionsText(questionsText);
+        assert.equal(QuizCore.questionStem(q), 'What does this print?\n```js\nconsole.log(1 + 2);\n```');
+    });
+
+    it('appends lines after a choice to that choice', () => {
+        const [q] = QuizCore.parseQuestionsText(questionsText);
+        assert.deepEqual(q.choices.map(c => c.text), [
+            'The number\n   three, as a number',
+            '```\n   "12"\n   ```',
+            'Nothing'
+        ]);
+    });
+
+    it('appends lines after "Explanation:" to the explanation, and keeps a multiline explanation without the label', () => {
+        const answers = QuizCore.parseAnswersList([
+            '1. Correct: A',
+            '   Explanation: Numbers are added',
+            '   before printing.',
+            '',
+            '2. Correct: B',
+            '   The key comes first,',
+            '   then the reasoning.'
+        ].join('\n'));
+
+        assert.equal(answers[0].explanation, 'Numbers are added\n   before printing.');
+        assert.equal(answers[1].explanation, '   The key comes first,\n   then the reasoning.');
+    });
+});
+
+describe('topic tags', () => {
+    const parse = line => QuizCore.parseQuestionsText(`${line}\nA. x\nB. y`)[0];
+
+    it('reads labelled tags, also before "(Select all that apply)"', () => {
+        const q = parse('Q1 [Multiple] (2 pts) {topic: convexity, chapter 3} (Select all that apply): Which hold?');
+        assert.deepEqual(q.tags, ['convexity', 'chapter 3']);
+        assert.equal(q.weight, 2);
+        assert.equal(q.text, '(Select all that apply): Which hold?');
+        assert.deepEqual(parse('Q2 [Single] {tags: a}: Stem').tags, ['a']);
+    });
+
+    it('reads unlabelled tags only right before the header colon', () => {
+        const q = parse('Q1 [Single] {convexity}: Stem');
+        assert.deepEqual(q.tags, ['convexity']);
+        assert.equal(QuizCore.questionStem(q), 'Stem');
+    });
+
+    it('leaves other braces in the question text', () => {
+        for (const line of ['Q1: {1, 2} (Select all that apply)', 'Q1: {a, b}', 'Q1: {x} is a set', 'Q1 [Single]: {x} is a set']) {
+            const q = parse(line);
+            assert.deepEqual(q.tags, [], line);
+            assert.match(q.text, /\{/, line);
+        }
+    });
+
+    it('keeps a point weight written later in the line as text', () => {
+        const q = parse('Q1 [Single]: What is worth (2 points)?');
+        assert.equal(q.weight, 1);
+        assert.equal(QuizCore.questionStem(q), 'What is worth (2 points)?');
+    });
+});
+
+describe('grading', () => {
+    const single = { type: 'SINGLE', correctKeys: ['B'] };
+    const multiple = { type: 'MULTIPLE', correctKeys: ['B', 'C', 'D'] };
+
+    it('grades SINGLE on the first pick', () => {
+        assert.equal(QuizCore.evaluateSelection(single, ['B'], 'B'), 'correct');
+        assert.equal(QuizCore.evaluateSelection(single, ['A'], 'A'), 'incorrect');
+    });
+
+    it('reveals each correct MULTIPLE pick and completes once all are ticked', () => {
+        assert.equal(QuizCore.evaluateSelection(multiple, ['B'], 'B'), 'pending');
+        assert.equal(QuizCore.evaluateSelection(multiple, ['B', 'D'], 'D'), 'pending');
+        assert.equal(QuizCore.evaluateSelection(multiple, ['B', 'D', 'C'], 'C'), 'correct');
+    });
+
+    it('locks a MULTIPLE question on the first wrong pick', () => {
+        assert.equal(QuizCore.evaluateSelection(multiple, ['A'], 'A'), 'incorrect');
+        assert.equal(QuizCore.evaluateSelection(multiple, ['B', 'C', 'A'], 'A'), 'incorrect');
+    });
+
+    it('grades a whole selection only when it matches the key exactly', () => {
+        assert.equal(QuizCore.gradeSelection(multiple, ['D', 'C', 'B']), 'correct');
+        assert.equal(QuizCore.gradeSelection(multiple, ['B', 'C']), 'incorrect');
+        assert.equal(QuizCore.gradeSelection(multiple, ['A', 'B', 'C', 'D']), 'incorrect');
+        assert.equal(QuizCore.gradeSelection(multiple, []), 'incorrect');
+        assert.equal(QuizCore.gradeSelection(single, ['B']), 'correct');
+    });
+});
+
+describe('scoring', () => {
+    const multiple = { type: 'MULTIPLE', correctKeys: ['B', 'C', 'D'], weight: 3 };
+    const single = { type: 'SINGLE', correctKeys: ['B'], weight: 2 };
+    const policy = (scoringPolicy, negativeMarking = 0) => ({ scoringPolicy, negativeMarking });
+
+    it('gives all-or-nothing credit only for the exact key', () => {
+        assert.equal(QuizCore.scoreSelection(multiple, ['B', 'C', 'D'], policy('all-or-nothing')), 3);
+        assert.equal(QuizCore.scoreSelection(multiple, ['B', 'C'], policy('all-or-nothing')), 0);
+        assert.equal(QuizCore.scoreSelection(multiple, ['A', 'B', 'C', 'D'], policy('all-or-nothing')), 0);
+    });
+
+    it('gives partial credit per correct option, ignoring wrong ticks', () => {
+        assert.equal(QuizCore.scoreSelection(multiple, ['B', 'C'], policy('partial')), 2);
+        assert.equal(QuizCore.scoreSelection(multiple, ['A', 'B'], policy('partial')), 1);
+    });
+
+    it('lets each wrong tick cancel a correct one with partial credit and penalties, never below zero', () => {
+        assert.equal(QuizCore.scoreSelection(multiple, ['B', 'C', 'D'], policy('partial-penalty')), 3);
+        assert.equal(QuizCore.scoreSelection(multiple, ['A', 'B', 'C'], policy('partial-penalty')), 1);
+        assert.equal(QuizCore.scoreSelection(multiple, ['A', 'B'], policy('partial-penalty')), 0);
+        assert.equal(QuizCore.scoreSelection({ ...multiple, correctKeys: ['B'] }, ['A', 'C', 'B'], policy('partial-penalty')), 0);
+    });
+
+    it('scales with the point weight and defaults to 1 point', () => {
+        assert.equal(QuizCore.scoreSelection(single, ['B'], policy('partial')), 2);
+        assert.equal(QuizCore.scoreSelection({ ...single, weight: undefined }, ['B'], policy('partial')), 1);
+        assert.equal(QuizCore.scoreSelection({ ...multiple, weight: 1.5 }, ['B'], policy('partial')), 0.5);
+    });
+
+    it('takes negative marking off a wrong Single Choice answer only', () => {
+        assert.equal(QuizCore.scoreSelection(single, ['A'], policy('all-or-nothing', 0.25)), -0.5);
+        assert.equal(QuizCore.scoreSelection(single, ['A'], policy('all-or-nothing', 0)), 0);
+        assert.equal(QuizCore.scoreSelection(single, [], policy('all-or-nothing', 0.25)), 0);
+        assert.equal(QuizCore.scoreSelection(multiple, ['A'], policy('all-or-nothing', 0.25)), 0);
+    });
+});
+
+describe('formatting', () => {
+    it('writes a bank that parses back to the same questions and answers', () => {
+        const questions = loadBank(readmeSample('Questions File'), readmeSample('Answers File'));
+        questions[0].weight = 2;
+        questions[1].tags = ['history', 'deep learning'];
+
+        const reparsed = loadBank(QuizCore.formatQuestionsText(questions), QuizCore.formatAnswersText(questions));
+
+        const summary = q => ({
+            id: q.id,
+            text: QuizCore.questionStem(q),
+            type: q.type,
+            weight: q.weight,
+            tags: q.tags,
+            choices: q.choices,
+            correctKeys: q.correctKeys,
+            explanation: q.explanation
+        });
+        assert.deepEqual(reparsed.map(summary), questions.map(summary));
+    });
+
+    it('strips the header colon and the "(Select all that apply)" hint from the stem', () => {
+        const [single, multiple] = QuizCore.parseQuestionsText(readmeSample('Questions File'));
+        assert.match(QuizCore.questionStem(single), /^A team trains/);
+        assert.match(QuizCore.questionStem(multiple), /^Which factors contributed/);
+        assert.equal(QuizCore.questionStem({ text: 'Stem from structured output' }), 'Stem from structured output');
+    });
+
+    it('leaves questions without an answer key out of the answers text', () => {
+        const questions = loadBank('Q1 [Single]: Kept\nA. x\nB. y\n\nQ2 [Single]: No key\nA. x\nB. y', '1. Correct: A');
+        assert.equal(QuizCore.formatAnswersText(questions), '1. Correct: A\n');
+    });
+});
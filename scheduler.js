@@ -0,0 +1,123 @@
+/**
+ * Review Scheduler Module
+ * SM-2 spaced repetition that follows each question across sessions.
+ * Cards are keyed by a hash of the question content (not its ID) and stored in IndexedDB.
+ */
+
+const ReviewScheduler = {
+    DAY_MS: 24 * 60 * 60 * 1000,
+    STORE: 'reviews',
+
+    /**
+     * Stable hash of the question stem and its choice texts.
+     * Choice order is ignored so shuffled or renumbered copies map to the same card, and the stem leaves out
+     * header leftovers (QuizCore.questionStem), so text files, imports and generated JSON do too.
+     */
+    hashQuestion: function (q) {
+        const normalize = (s) => (s || '').replace(/\s+/g, ' ').trim().toLowerCase();
+        const choices = q.choices.map(c => normalize(c.text)).sort();
+        const input = [normalize(QuizCore.questionStem(q)), ...choices].join('\u0000');
+
+        // cyrb53: small, fast, well-distributed 53-bit string hash
+        let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+        for (let i = 0; i < input.length; i++) {
+            const ch = input.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+    },
+
+    /**
+     * Maps an answer outcome to an SM-2 quality grade (0-5).
+     */
+    qualityFor: function (correct, firstTry) {
+        if (!correct) return 1;
+        return firstTry ? 5 : 3;
+    },
+
+    startOfDay: function (time) {
+        const d = new Date(time);
+        d.setHours(0, 0, 0, 0);
+        return d.getTime();
+    },
+
+    /**
+     * Applies one SM-2 step to a card and sets its next due date.
+     */
+    schedule: function (card, quality, now = Date.now()) {
+        if (quality < 3) {
+            card.repetitions = 0;
+            card.interval = 1;
+        } else {
+            card.repetitions += 1;
+            if (card.repetitions === 1) card.interval = 1;
+            else if (card.repetitions === 2) card.interval = 6;
+            else card.interval = Math.round(card.interval * card.easiness);
+        }
+
+        card.easiness = Math.max(1.3, card.easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+        card.due = this.startOfDay(now) + card.interval * this.DAY_MS;
+        return card;
+    },
+
+    /**
+     * Records the outcome of an answered question and reschedules it.
+     * The latest question content is kept so due sessions can be rebuilt without the original bank.
+     */
+    record: async function (q, correct, firstTry) {
+        const hash = this.hashQuestion(q);
+        const now = Date.now();
+        const card = (await AppStorage.get(this.STORE, hash)) || {
+            hash,
+            easiness: 2.5,
+            interval: 0,
+            repetitions: 0,
+            due: now,
+            history: []
+        };
+
+        card.question = {
+            text: q.text,
+            explicitType: q.explicitType,
+            choices: q.choices
+        };
+        card.answer = {
+            correctKeys: q.correctKeys,
+            explanation: q.explanation
+        };
+
+        const quality = this.qualityFor(correct, firstTry);
+        card.history.push({ at: now, correct, firstTry, quality });
+        this.schedule(card, quality, now);
+
+        await AppStorage.put(this.STORE, card);
+        return card;
+    },
+
+    /**
+     * Returns cards due by the end of the given day, most overdue first.
+     */
+    getDueCards: async function (time = Date.now()) {
+        const cards = (await AppStorage.getAll(this.STORE)) || [];
+        const endOfDay = this.startOfDay(time) + this.DAY_MS;
+        return cards
+            .filter(card => card.due < endOfDay)
+            .sort((a, b) => a.due - b.due);
+    },
+
+    /**
+     * Counts cards due today (including overdue) and those that become due tomorrow.
+     */
+    countDue: async function (time = Date.now()) {
+        const cards = (await AppStorage.getAll(this.STORE)) || [];
+        const endOfToday = this.startOfDay(time) + this.DAY_MS;
+        const endOfTomorrow = endOfToday + this.DAY_MS;
+        return {
+            today: cards.filter(card => card.due < endOfToday).length,
+            tomorrow: cards.filter(card => card.due >= endOfToday && card.due < endOfTomorrow).length
+        };
+    }
+};
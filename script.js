@@ -7,13 +7,43 @@
 const state = {
     questions: [], // Array of question objects
     answersMap: new Map(), // Map of ID/Text -> Answer object
+    answerEntries: [], // Every parsed answer in file order, duplicates included (for validation)
+    questionFiles: [], // [{name, text}] uploaded question texts, kept until they are paired with answers
+    answerFiles: [], // [{name, text}] uploaded answer texts
     stats: {
         total: 0,
         correct: 0,
         incorrect: 0
+    },
+    originalBank: null, // Full bank kept aside while practicing a retry round
+    rounds: [], // Retry rounds: { round, total, recovered }
+    selectedTags: [], // Topic tags chosen in the filter bar
+    startedAt: null, // When the questions being practiced were loaded
+    historyId: null, // Progress history entry of this session, once it has been finished
+    multipleSources: false, // The bank mixes files, so cards show which one they came from
+    settings: {
+        shuffleQuestions: false,
+        shuffleChoices: false,
+        examMode: false,
+        examMinutes: 0, // 0 = no time limit
+        scoringPolicy: 'all-or-nothing', // 'all-or-nothing' | 'partial' | 'partial-penalty'
+        negativeMarking: 0, // Fraction of a SINGLE question's points lost on a wrong answer
+        passMark: 50 // Percent of the bank's points needed to pass
+    },
+    exam: {
+        active: false, // Answers are collected without feedback until submitted
+        endsAt: null, // Timestamp for the countdown, null when untimed
+        activeQuestionId: null // Card last focused or answered; the clock is charged to it
     }
 };
 
+let examTimerId = null;
+let lastExamTick = 0;
+let examPaused = false; // The tab is hidden: time is not charged to any question
+
+// Key of the saved session in IndexedDB. Declared before the startup calls below, which read it.
+const SESSION_KEY = 'current';
+
 // --- DOM Elements ---
 const elements = {
     questionsFile: document.getElementById('questions-file'),
@@ -40,7 +70,67 @@ const elements = {
     wrongAnswersList: document.getElementById('wrong-answers-list'),
     themeToggle: document.getElementById('theme-toggle'),
     iconSun: document.getElementById('icon-sun'),
-    iconMoon: document.getElementById('icon-moon')
+    iconMoon: document.getElementById('icon-moon'),
+    resumeBanner: document.getElementById('resume-banner'),
+    resumeSummary: document.getElementById('resume-summary'),
+    resumeBtn: document.getElementById('resume-btn'),
+    discardSessionBtn: document.getElementById('discard-session-btn'),
+    reviewSummary: document.getElementById('review-summary'),
+    startReviewBtn: document.getElementById('start-review-btn'),
+    retryIncorrectBtn: document.getElementById('retry-incorrect-btn'),
+    backToBankBtn: document.getElementById('back-to-bank-btn'),
+    followUpControls: document.getElementById('follow-up-controls'),
+    followUpMode: document.getElementById('follow-up-mode'),
+    generateFollowUpBtn: document.getElementById('generate-follow-up-btn'),
+    roundsSummary: document.getElementById('rounds-summary'),
+    tagFilter: document.getElementById('tag-filter'),
+    tagFilterList: document.getElementById('tag-filter-list'),
+    practiceTagsBtn: document.getElementById('practice-tags-btn'),
+    topicBreakdownSection: document.getElementById('topic-breakdown-section'),
+    topicBreakdownList: document.getElementById('topic-breakdown-list'),
+    dashboardBtn: document.getElementById('dashboard-btn'),
+    dashboardModal: document.getElementById('dashboard-modal'),
+    closeDashboardBtn: document.getElementById('close-dashboard-btn'),
+    closeDashboardIcon: document.getElementById('close-dashboard'),
+    dashboardEmpty: document.getElementById('dashboard-empty'),
+    dashboardBody: document.getElementById('dashboard-body'),
+    dashboardSessions: document.getElementById('dashboard-sessions'),
+    dashboardAverage: document.getElementById('dashboard-average'),
+    dashboardBest: document.getElementById('dashboard-best'),
+    dashboardTime: document.getElementById('dashboard-time'),
+    dashboardChart: document.getElementById('dashboard-chart'),
+    dashboardHardest: document.getElementById('dashboard-hardest'),
+    dashboardDistractors: document.getElementById('dashboard-distractors'),
+    dashboardSessionsList: document.getElementById('dashboard-sessions-list'),
+    clearHistoryBtn: document.getElementById('clear-history-btn'),
+    exportHistoryBtn: document.getElementById('export-history-btn'),
+    roundBanner: document.getElementById('round-banner'),
+    roundBannerText: document.getElementById('round-banner-text'),
+    roundBannerBackBtn: document.getElementById('round-banner-back-btn'),
+    shuffleQuestionsToggle: document.getElementById('shuffle-questions'),
+    shuffleChoicesToggle: document.getElementById('shuffle-choices'),
+    examModeToggle: document.getElementById('exam-mode'),
+    examMinutesInput: document.getElementById('exam-minutes'),
+    examTimer: document.getElementById('exam-timer'),
+    timeBreakdownSection: document.getElementById('time-breakdown-section'),
+    timeBreakdownList: document.getElementById('time-breakdown-list'),
+    scorePoints: document.getElementById('score-points'),
+    scoringPolicySelect: document.getElementById('scoring-policy'),
+    negativeMarkingInput: document.getElementById('negative-marking'),
+    passMarkInput: document.getElementById('pass-mark'),
+    summaryPoints: document.getElementById('summary-points'),
+    summaryVerdict: document.getElementById('summary-verdict'),
+    bankToolbar: document.getElementById('bank-toolbar'),
+    exportFormatSelect: document.getElementById('export-format'),
+    exportBankBtn: document.getElementById('export-bank-btn'),
+    validationReport: document.getElementById('validation-report'),
+    validationSummary: document.getElementById('validation-summary'),
+    validationList: document.getElementById('validation-list'),
+    validationProceedBtn: document.getElementById('validation-proceed-btn'),
+    validationCancelBtn: document.getElementById('validation-cancel-btn'),
+    pairingPanel: document.getElementById('pairing-panel'),
+    pairingList: document.getElementById('pairing-list'),
+    pairingApplyBtn: document.getElementById('pairing-apply-btn')
 };
 
 // --- Theme Logic ---
@@ -73,19 +163,84 @@ function updateThemeIcons(isDark) {
     }
 }
 
+// --- Settings ---
+function initSettings() {
+    try {
+        Object.assign(state.settings, JSON.parse(localStorage.getItem('settings') || '{}'));
+    } catch (err) {
+        console.warn('Ignoring invalid saved settings:', err);
+    }
+
+    elements.shuffleQuestionsToggle.checked = state.settings.shuffleQuestions;
+    elements.shuffleChoicesToggle.checked = state.settings.shuffleChoices;
+    elements.examModeToggle.checked = state.settings.examMode;
+    elements.examMinutesInput.value = state.settings.examMinutes || '';
+    elements.scoringPolicySelect.value = state.settings.scoringPolicy;
+    elements.negativeMarkingInput.value = state.settings.negativeMarking;
+    elements.passMarkInput.value = state.settings.passMark;
+}
+
+function updateSettings() {
+    state.settings.shuffleQuestions = elements.shuffleQuestionsToggle.checked;
+    state.settings.shuffleChoices = elements.shuffleChoicesToggle.checked;
+    state.settings.examMode = elements.examModeToggle.checked;
+    state.settings.examMinutes = Math.max(0, parseInt(elements.examMinutesInput.value) || 0);
+    state.settings.scoringPolicy = elements.scoringPolicySelect.value;
+    state.settings.negativeMarking = Math.max(0, parseFloat(elements.negativeMarkingInput.value) || 0);
+    state.settings.passMark = Math.min(100, Math.max(0, parseFloat(elements.passMarkInput.value) || 0));
+    localStorage.setItem('settings', JSON.stringify(state.settings));
+
+    // Points are derived from the policy, so the live score follows the change
+    updateScoreboard();
+}
+
 // --- Event Listeners ---
 initTheme();
+initSettings();
+elements.shuffleQuestionsToggle.addEventListener('change', updateSettings);
+elements.shuffleChoicesToggle.addEventListener('change', updateSettings);
+elements.examModeToggle.addEventListener('change', updateSettings);
+elements.examMinutesInput.addEventListener('change', updateSettings);
+elements.scoringPolicySelect.addEventListener('change', updateSettings);
+elements.negativeMarkingInput.addEventListener('change', updateSettings);
+elements.passMarkInput.addEventListener('change', updateSettings);
 elements.themeToggle.addEventListener('click', toggleTheme);
 elements.questionsFile.addEventListener('change', handleQuestionsUpload);
 elements.answersFile.addEventListener('change', handleAnswersUpload);
 elements.resetBtn.addEventListener('click', resetApp);
-elements.finishBtn.addEventListener('click', showResults);
+elements.finishBtn.addEventListener('click', handleFinish);
 elements.closeResultsBtn.addEventListener('click', hideResults);
 elements.closeResultsIcon.addEventListener('click', hideResults);
 elements.exportBtn.addEventListener('click', exportResults);
+elements.exportBankBtn.addEventListener('click', exportBank);
+elements.validationProceedBtn.addEventListener('click', proceedDespiteIssues);
+elements.validationCancelBtn.addEventListener('click', hideValidationReport);
+elements.pairingApplyBtn.addEventListener('click', applyManualPairing);
+elements.resumeBtn.addEventListener('click', resumeSession);
+elements.discardSessionBtn.addEventListener('click', discardSession);
+elements.startReviewBtn.addEventListener('click', startDueReview);
+elements.retryIncorrectBtn.addEventListener('click', startRetryRound);
+elements.backToBankBtn.addEventListener('click', backToFullBank);
+elements.generateFollowUpBtn.addEventListener('click', requestFollowUpQuestions);
+elements.roundBannerBackBtn.addEventListener('click', backToFullBank);
+elements.practiceTagsBtn.addEventListener('click', startTagRound);
+elements.dashboardBtn.addEventListener('click', showDashboard);
+elements.closeDashboardBtn.addEventListener('click', hideDashboard);
+elements.closeDashboardIcon.addEventListener('click', hideDashboard);
+elements.clearHistoryBtn.addEventListener('click', clearHistory);
+elements.exportHistoryBtn.addEventListener('click', exportHistory);
+document.addEventListener('visibilitychange', handleExamVisibility);
+checkForSavedSession();
+refreshReviewSummary();
 
 // --- File Parsing Logic ---
 
+// Parsing, matching and grading rules live in quiz-core.js so the CLI shares them
+const {
+    parseQuestionsText, parseAnswersList, parseAnswersText, buildAnswersMap,
+    splitCombinedText, validateBank, questionLabel, questionStem, formatLocation, gradeSelection
+} = QuizCore;
+
 async function handleQuestionsUpload(e) {
     const files = Array.from(e.target.files);
     if (files.length === 0) return;
@@ -94,22 +249,35 @@ async function handleQuestionsUpload(e) {
     elements.parseError.classList.add('hidden');
 
     try {
-        let allText = '';
         // Sort files by name to ensure order if numbered (e.g. Part1, Part2)
         files.sort((a, b) => a.name.localeCompare(b.name));
 
+        // GIFT / Moodle XML / CSV banks carry their own answer key
+        const importFormats = files.map(f => QuizImporters.detect(f.name));
+        if (importFormats.some(Boolean)) {
+            if (!importFormats.every(Boolean)) {
+                throw new Error("Don't mix GIFT/XML/CSV files with text question files in one upload.");
+            }
+            await importBankFiles(files, importFormats);
+            return;
+        }
+
+        const texts = [];
         for (const file of files) {
-            allText += await readFile(file) + '\n\n';
+            texts.push({ name: file.name, text: await readFile(file) });
         }
 
-        const parsedQuestions = parseQuestionsText(allText);
-        if (parsedQuestions.length === 0) {
+        // "Part 1 - Questions / Part 2 - Answers" files carry their own answer key
+        if (texts.every(t => splitCombinedText(t.text)) && loadCombinedTexts(texts)) return;
+
+        const count = texts.reduce((sum, t) => sum + parseQuestionsText(t.text).length, 0);
+        if (count === 0) {
             throw new Error("No valid questions found. Please check the file format.");
         }
 
-        state.questions = parsedQuestions;
-        elements.questionsStatus.textContent = `Loaded ${parsedQuestions.length} questions.`;
-        checkReadyToRender();
+        state.questionFiles = texts;
+        elements.questionsStatus.textContent = `Loaded ${count} questions from ${texts.length} file(s).`;
+        pairUploadedFiles();
 
     } catch (err) {
         showError(`Error parsing questions: ${err.message}`);
@@ -118,23 +286,28 @@ async function handleQuestionsUpload(e) {
 }
 
 async function handleAnswersUpload(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+    const files = Array.from(e.target.files);
+    if (files.length === 0) return;
 
-    elements.answersStatus.textContent = `Reading file...`;
+    elements.answersStatus.textContent = `Reading ${files.length} file(s)...`;
     elements.parseError.classList.add('hidden');
 
     try {
-        const text = await readFile(file);
-        const parsedAnswers = parseAnswersText(text);
+        files.sort((a, b) => a.name.localeCompare(b.name));
 
-        if (parsedAnswers.size === 0) {
+        const texts = [];
+        for (const file of files) {
+            texts.push({ name: file.name, text: await readFile(file) });
+        }
+
+        const count = texts.reduce((sum, t) => sum + parseAnswersList(t.text).length, 0);
+        if (count === 0) {
             throw new Error("No valid answers found. Please check the file format.");
         }
 
-        state.answersMap = parsedAnswers;
-        elements.answersStatus.textContent = `Loaded ${parsedAnswers.size} answers.`;
-        checkReadyToRender();
+        state.answerFiles = texts;
+        elements.answersStatus.textContent = `Loaded ${count} answers from ${texts.length} file(s).`;
+        pairUploadedFiles();
 
     } catch (err) {
         showError(`Error parsing answers: ${err.message}`);
@@ -142,6 +315,186 @@ async function handleAnswersUpload(e) {
     }
 }
 
+// Imports GIFT / Moodle XML / CSV files into one bank, numbered continuously
+async function importBankFiles(files, formats) {
+    const questions = [];
+    const answersMap = new Map();
+    const skipped = [];
+
+    for (let i = 0; i < files.length; i++) {
+        const result = QuizImporters.run(formats[i], await readFile(files[i]));
+        result.questions.forEach(q => {
+            const answer = result.answersMap.get(q.id);
+            const id = String(questions.length + 1);
+            questions.push({ ...q, id, source: files[i].name });
+            answersMap.set(id, { ...answer, id, source: files[i].name, rawLine: q.rawLine });
+        });
+        result.skipped.forEach(item => skipped.push(`${files[i].name}, ${item.location}: ${item.reason}`));
+    }
+
+    if (questions.length === 0) {
+        throw new Error(`No supported questions found.${skipped.length ? ` Skipped ${skipped.length} item(s).` : ''}`);
+    }
+
+    state.questions = questions;
+    state.answersMap = answersMap;
+    state.answerEntries = Array.from(answersMap.values());
+    state.questionFiles = [];
+    state.answerFiles = [];
+    elements.answersFile.value = '';
+    elements.questionsStatus.textContent = `Imported ${questions.length} questions.`;
+    elements.answersStatus.textContent = `Answer key taken from the imported file(s).`;
+    if (skipped.length > 0) {
+        showWarnings(`Skipped ${skipped.length} item(s) that could not be imported:`, skipped);
+    }
+    checkReadyToRender();
+}
+
+// Loads questions and answers from combined texts. Returns false if nothing usable was found.
+function loadCombinedTexts(texts) {
+    const parsedQuestions = [];
+    const answerEntries = [];
+
+    texts.forEach((t, index) => {
+        const parts = splitCombinedText(t.text);
+        const namespace = texts.length > 1 ? String(index + 1) : null;
+        parsedQuestions.push(...namespaceItems(
+            parseQuestionsText(parts.questionsText, { source: t.name, firstLine: parts.questionsLine }), namespace));
+        answerEntries.push(...namespaceItems(
+            parseAnswersList(parts.answersText, { source: t.name, firstLine: parts.answersLine }), namespace));
+    });
+
+    const parsedAnswers = buildAnswersMap(answerEntries);
+    if (parsedQuestions.length === 0 || parsedAnswers.size === 0) return false;
+
+    state.questions = parsedQuestions;
+    state.answersMap = parsedAnswers;
+    state.answerEntries = answerEntries;
+    state.questionFiles = [];
+    state.answerFiles = [];
+    elements.answersFile.value = '';
+    elements.questionsStatus.textContent = `Loaded ${parsedQuestions.length} questions.`;
+    elements.answersStatus.textContent = `Loaded ${parsedAnswers.size} answers from the same file.`;
+    checkReadyToRender();
+    return true;
+}
+
+// --- File Pairing ---
+
+// "Chapter1_Questions.txt", "chapter1-answers.txt" and "Chapter 1.txt" all reduce to "chapter1"
+const PAIRING_NOISE_REGEX = /(^|[\s_.-])(questions?|answers?|answer[\s_-]?key|key|solutions?|q|a)(?=$|[\s_.-])/gi;
+
+function pairingBaseName(fileName) {
+    return fileName
+        .replace(/\.[^.]+$/, '')
+        .replace(PAIRING_NOISE_REGEX, '$1')
+        .replace(/[^a-z0-9]/gi, '')
+        .toLowerCase();
+}
+
+/**
+ * Pairs question files with answer files by name. With a single answer file every question file uses it.
+ * @returns {Array<number>} Answer file index per question file, -1 where no match was found.
+ */
+function pairFilesByName(questionFiles, answerFiles) {
+    if (answerFiles.length === 1) return questionFiles.map(() => 0);
+
+    const answerBases = answerFiles.map(f => pairingBaseName(f.name));
+    return questionFiles.map(f => answerBases.indexOf(pairingBaseName(f.name)));
+}
+
+// Pairs the uploaded question and answer files, asking the user when the names don't match up
+function pairUploadedFiles() {
+    hidePairingPanel();
+    if (state.questionFiles.length === 0 || state.answerFiles.length === 0) return;
+
+    const pairing = pairFilesByName(state.questionFiles, state.answerFiles);
+    if (pairing.includes(-1)) {
+        showPairingPanel(pairing);
+        return;
+    }
+    loadPairedFiles(pairing);
+}
+
+/**
+ * Parses each question file with its answer file. Question files sharing an answer file share an ID space;
+ * when there is more than one answer file, IDs are namespaced per answer file so "Q1" in two chapters don't collide.
+ * @param {Array<number>} pairing - Answer file index per question file.
+ */
+function loadPairedFiles(pairing) {
+    const namespaced = new Set(pairing).size > 1;
+    const namespaceFor = (answerIndex) => namespaced ? String(answerIndex + 1) : null;
+
+    const questions = state.questionFiles.flatMap((f, i) =>
+        namespaceItems(parseQuestionsText(f.text, { source: f.name }), namespaceFor(pairing[i])));
+
+    const answerEntries = [];
+    state.answerFiles.forEach((f, index) => {
+        if (!pairing.includes(index)) return;
+        answerEntries.push(...namespaceItems(parseAnswersList(f.text, { source: f.name }), namespaceFor(index)));
+    });
+
+    state.questions = questions;
+    state.answersMap = buildAnswersMap(answerEntries);
+    state.answerEntries = answerEntries;
+    checkReadyToRender();
+}
+
+/**
+ * Prefixes item IDs with a namespace ("2-14"), keeping the original in `number` for display.
+ */
+function namespaceItems(items, namespace) {
+    items.forEach(item => {
+        item.number = item.id;
+        if (namespace) item.id = `${namespace}-${item.id}`;
+    });
+    return items;
+}
+
+function showPairingPanel(pairing) {
+    elements.pairingList.innerHTML = '';
+    state.questionFiles.forEach((f, i) => {
+        const row = document.createElement('label');
+        row.className = 'flex items-center justify-between gap-4';
+
+        const name = document.createElement('span');
+        name.className = 'font-mono text-xs truncate';
+        name.textContent = f.name;
+
+        const select = document.createElement('select');
+        select.className = 'pairing-select px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 text-sm';
+        select.innerHTML = '<option value="-1">Choose answers file...</option>';
+        state.answerFiles.forEach((a, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = a.name;
+            select.appendChild(option);
+        });
+        select.value = pairing[i];
+
+        row.append(name, select);
+        elements.pairingList.appendChild(row);
+    });
+    elements.pairingPanel.classList.remove('hidden');
+}
+
+function hidePairingPanel() {
+    elements.pairingPanel.classList.add('hidden');
+}
+
+function applyManualPairing() {
+    const pairing = Array.from(elements.pairingList.querySelectorAll('.pairing-select'))
+        .map(select => parseInt(select.value, 10));
+
+    if (pairing.includes(-1)) {
+        showError('Choose an answers file for every questions file.');
+        return;
+    }
+    elements.parseError.classList.add('hidden');
+    hidePairingPanel();
+    loadPairedFiles(pairing);
+}
+
 function readFile(file) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
@@ -151,152 +504,254 @@ function readFile(file) {
     });
 }
 
-function parseQuestionsText(text) {
-    const lines = text.split(/\r?\n/);
-    const questions = [];
-    let currentQ = null;
-
-    // Regex helpers
-    const qStartRegex = /^(?:Q)?(\d+)[\.:\s]*(?:\[(Single|Multiple)\])?\s*(.*)/i;
-    const choiceRegex = /^\s*([A-Z])[\.\)]\s*(.*)/;
-
-    for (let i = 0; i < lines.length; i++) {
-        const rawLine = lines[i];
-        const trimmedLine = rawLine.trim();
-        if (!trimmedLine) continue;
-
-        // Check for new Question start
-        const qMatch = trimmedLine.match(qStartRegex);
-        if (qMatch) {
-            // Save previous question
-            if (currentQ) questions.push(currentQ);
-
-            currentQ = {
-                id: qMatch[1], // String ID
-                text: qMatch[3] || '', // Initial text might be on same line
-                explicitType: qMatch[2] ? qMatch[2].toUpperCase() : null,
-                choices: [],
-                rawLine: i + 1
-            };
+// --- Validation ---
+
+function showValidationReport(issues) {
+    elements.validationSummary.textContent = `Found ${issues.length} problem(s) in the loaded files.`;
+    elements.validationList.innerHTML = '';
+    issues.forEach(issue => {
+        const li = document.createElement('li');
+        const location = document.createElement('span');
+        location.className = 'font-mono text-xs text-amber-700 dark:text-amber-400 mr-2';
+        location.textContent = formatLocation(issue.source, issue.line);
+        li.append(location, document.createTextNode(issue.message));
+        elements.validationList.appendChild(li);
+    });
+    elements.validationReport.classList.remove('hidden');
+}
 
-            // If text was empty on first line, it might be on next lines (handled by default else)
-            continue;
-        }
+function hideValidationReport() {
+    elements.validationReport.classList.add('hidden');
+}
 
-        // Check for Choice
-        const cMatch = trimmedLine.match(choiceRegex);
-        if (cMatch && currentQ) {
-            currentQ.choices.push({
-                key: cMatch[1].toUpperCase(),
-                text: cMatch[2]
-            });
-            continue;
-        }
+function proceedDespiteIssues() {
+    hideValidationReport();
+    startNewSession();
+}
 
-        // Append to current question text if it's not a choice and we have a question open
-        if (currentQ) {
-            if (currentQ.choices.length > 0) {
-                // Multiline choice
-                currentQ.choices[currentQ.choices.length - 1].text += '\n' + rawLine.trimEnd();
-            } else {
-                // Multiline question text
-                currentQ.text += (currentQ.text ? '\n' : '') + rawLine.trimEnd();
-            }
+// --- Matching & Processing ---
+
+function checkReadyToRender() {
+    if (state.questions.length > 0 && state.answersMap.size > 0) {
+        const issues = validateBank(state.questions, state.answerEntries);
+        if (issues.length > 0) {
+            showValidationReport(issues);
+            return;
         }
+        hideValidationReport();
+        startNewSession();
     }
-    if (currentQ) questions.push(currentQ);
+}
 
-    return questions;
+// Starts practicing whatever bank is currently in state, dropping any retry rounds
+function startNewSession() {
+    state.originalBank = null;
+    state.rounds = [];
+    updateRoundBanner();
+    applyShuffle();
+    processAndRender();
+    if (state.settings.examMode) {
+        startExam();
+    } else {
+        stopExam();
+    }
+    saveSession();
 }
 
-function parseAnswersText(text) {
-    const lines = text.split(/\r?\n/);
-    const answers = new Map(); // Key: ID (or normalized text start), Value: { correctKeys: [], explanation: '' }
-    let currentA = null;
+// --- Live Rendering ---
+// Used while a generated bank is still streaming in: cards appear before their answers do.
 
-    // Regex helpers
-    const aStartRegex = /^(\d+)[\.:\s]*Correct:\s*([A-Z](?:\s*,\s*[A-Z])*)/i;
-    const expStartRegex = /^\s*Explanation:\s*(.*)/i;
+function beginLiveSession() {
+    state.questions = [];
+    state.answersMap = new Map();
+    state.answerEntries = [];
+    state.originalBank = null;
+    state.rounds = [];
+    state.stats = { total: 0, correct: 0, incorrect: 0 };
+    state.startedAt = Date.now();
+    state.historyId = null;
+    state.multipleSources = false;
+    updateRoundBanner();
+    hideValidationReport();
+    stopExam();
 
-    for (let i = 0; i < lines.length; i++) {
-        const rawLine = lines[i];
-        const trimmedLine = rawLine.trim();
-        if (!trimmedLine) continue;
+    elements.questionsContainer.innerHTML = '';
+    elements.bankToolbar.classList.remove('hidden');
+    renderTagFilter();
+    updateScoreboard();
+}
 
-        const aMatch = trimmedLine.match(aStartRegex);
-        if (aMatch) {
-            if (currentA) answers.set(currentA.id, currentA);
+// Renders a question whose answer hasn't arrived yet. It can be answered straight away.
+function appendLiveQuestion(q) {
+    q.status = 'awaiting';
+    q.correctKeys = [];
+    q.explanation = 'The answer key is still being generated...';
+    q.type = q.explicitType || 'SINGLE';
 
-            const keys = aMatch[2].split(',').map(k => k.trim().toUpperCase());
-            currentA = {
-                id: aMatch[1],
-                correctKeys: keys,
-                explanation: ''
-            };
-            continue;
-        }
+    if (state.questions.length > 0 && q.source !== state.questions[0].source) state.multipleSources = true;
+    state.questions.push(q);
+    renderQuestion(q, state.questions.length - 1);
+    state.stats.total = state.questions.length;
+    updateScoreboard();
+}
 
-        const expMatch = trimmedLine.match(expStartRegex);
-        if (expMatch && currentA) {
-            currentA.explanation = expMatch[1];
-            continue;
-        }
+/**
+ * Attaches a streamed answer to its card. A selection made while waiting is graded now,
+ * with the same rules as if it had been clicked after the answer was known.
+ */
+function attachLiveAnswer(q, answer) {
+    const selectedKeys = q.userSelectedKeys || [];
+    const renderedType = q.type;
 
-        // Append multiline explanation
-        if (currentA) {
-            currentA.explanation += (currentA.explanation ? '\n' : '') + rawLine.trimEnd();
-        }
+    state.answersMap.set(q.id, answer);
+    QuizCore.matchAnswer(q, answer);
+    q.userSelectedKeys = undefined;
+
+    const oldCard = document.getElementById(`q-card-${q.id}`);
+    const card = renderQuestion(q, state.questions.indexOf(q));
+    if (oldCard) oldCard.replaceWith(card);
+
+    // A selection made as radio buttons can't be graded as a Multiple Choice answer (or vice versa)
+    if (selectedKeys.length === 0 || renderedType !== q.type) return;
+
+    selectedKeys.forEach(key => {
+        const input = card.querySelector(`input[value="${key}"]`);
+        if (input) input.checked = true;
+    });
+    const wrongKey = selectedKeys.find(k => !q.correctKeys.includes(k));
+    const latestKey = wrongKey || selectedKeys[selectedKeys.length - 1];
+    handleInteraction(q, latestKey, card.querySelector(`input[value="${latestKey}"]`), card);
+    if (q.status === 'correct' || q.status === 'incorrect') recordReviewOutcome(q);
+    saveSession();
+}
+
+// Takes a question out of the bank and off the page (a failed batch's leftovers, or a dropped disputed question)
+function removeQuestion(q) {
+    if (q.status === 'correct' || q.status === 'incorrect') state.stats[q.status]--;
+    state.questions = state.questions.filter(item => item !== q);
+    state.answersMap.delete(q.id);
+    state.answerEntries = state.answerEntries.filter(entry => entry.id !== q.id);
+    document.getElementById(`q-card-${q.id}`)?.remove();
+    state.stats.total = state.questions.length;
+    updateScoreboard();
+}
+
+// Called once streaming ends: questions whose answer never arrived become ungraded, then problems are listed
+function finalizeLiveSession() {
+    state.questions.filter(q => q.status === 'awaiting').forEach(q => {
+        QuizCore.matchAnswer(q, null);
+        q.userSelectedKeys = undefined;
+        const oldCard = document.getElementById(`q-card-${q.id}`);
+        const card = renderQuestion(q, state.questions.indexOf(q));
+        if (oldCard) oldCard.replaceWith(card);
+    });
+
+    const issues = validateBank(state.questions, state.answerEntries);
+    if (issues.length > 0) {
+        showWarnings(`The generated bank has ${issues.length} problem(s):`,
+            issues.map(issue => issue.message));
     }
-    if (currentA) answers.set(currentA.id, currentA);
+    renderTagFilter();
+    saveSession();
+}
 
-    return answers;
+// Updates the "Q<n>" badges after numbers change (e.g. when a failed batch's questions are removed)
+function refreshQuestionLabels() {
+    state.questions.forEach(q => {
+        const badge = document.querySelector(`#q-card-${q.id} .question-id-badge`);
+        if (badge) badge.textContent = questionLabel(q);
+    });
 }
 
-// --- Matching & Processing ---
+// --- Shuffling ---
 
-function checkReadyToRender() {
-    if (state.questions.length > 0 && state.answersMap.size > 0) {
-        processAndRender();
+// Choices that only make sense in last position
+const PINNED_CHOICE_REGEX = /^(all|none|any) of (the )?(above|these|the above options)\b|^(both|neither) of (the )?above\b/i;
+// Choices that refer to other choices by letter (e.g. "Both A and C", "A and B only")
+const LETTER_REFERENCE_REGEX = /\b[A-H]\s*(,|and|or|&|nor)\s*[A-H]\b/;
+// Explanations that name a choice by letter: "option B", "choice B", "answer B", "(B)" or "B)".
+// A bare capital ("Vitamin C", "Type D") is not a reference.
+const EXPLANATION_LETTER_REGEX = /\b(?:[Oo]ptions?|[Cc]hoices?|[Aa]nswers?)[\s:]*\(?[A-H]\b|\([A-H]\)|(?:^|[\s,;:])[A-H]\)/;
+
+// Shuffles question order and/or choices according to the current settings
+function applyShuffle() {
+    if (state.settings.shuffleChoices) {
+        state.questions.forEach(shuffleChoices);
+    }
+    if (state.settings.shuffleQuestions) {
+        shuffleArray(state.questions);
+    }
+}
+
+function shuffleChoices(q) {
+    // Reordering would break choices, or an explanation, that point at choices by letter
+    const answer = state.answersMap.get(q.id);
+    if (q.choices.some(c => LETTER_REFERENCE_REGEX.test(c.text))) return;
+    if (answer && EXPLANATION_LETTER_REGEX.test(answer.explanation || '')) return;
+
+    const movable = q.choices.filter(c => !PINNED_CHOICE_REGEX.test(c.text.trim()));
+    const pinned = q.choices.filter(c => PINNED_CHOICE_REGEX.test(c.text.trim()));
+    const ordered = [...shuffleArray(movable), ...pinned];
+
+    // Relabel A, B, C... in display order and remember where each key went
+    const keyMap = new Map();
+    q.choices = ordered.map((choice, index) => {
+        const key = String.fromCharCode(65 + index);
+        keyMap.set(choice.key, key);
+        return { ...choice, key, originalKey: choice.originalKey || choice.key };
+    });
+
+    if (answer) {
+        state.answersMap.set(q.id, {
+            ...answer,
+            correctKeys: answer.correctKeys.map(k => keyMap.get(k) || k)
+        });
+    }
+    if (q.dispute) {
+        q.dispute = { ...q.dispute, correctKeys: q.dispute.correctKeys.map(k => keyMap.get(k) || k) };
     }
 }
 
+// Fisher-Yates, in place
+function shuffleArray(arr) {
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+}
+
 function processAndRender() {
     elements.questionsContainer.innerHTML = '';
     state.stats = { total: 0, correct: 0, incorrect: 0 };
+    state.startedAt = Date.now();
+    state.historyId = null;
+    state.multipleSources = hasMultipleSources(state.questions);
     updateScoreboard();
 
     state.questions.forEach((q, index) => {
-        // 1. Match with Answer
-        let answer = state.answersMap.get(q.id);
-
-        if (!answer) {
-            console.warn(`No answer found for Q${q.id}`);
-            q.status = 'ungraded';
-            q.explanation = "No answer key found.";
-            q.correctKeys = [];
-        } else {
-            q.correctKeys = answer.correctKeys;
-            q.explanation = answer.explanation;
-            q.status = 'unanswered';
-        }
+        // 1. Match with Answer and determine type
+        const answer = state.answersMap.get(q.id);
+        if (!answer) console.warn(`No answer found for Q${q.id}`);
+        QuizCore.matchAnswer(q, answer);
 
-        // 2. Determine Type
-        if (q.explicitType) {
-            q.type = q.explicitType; // SINGLE or MULTIPLE
-        } else {
-            q.type = q.correctKeys.length > 1 ? 'MULTIPLE' : 'SINGLE';
-        }
-
-        // 3. Render
+        // 2. Render
         renderQuestion(q, index);
     });
 
     state.stats.total = state.questions.length;
     updateScoreboard();
+    elements.bankToolbar.classList.toggle('hidden', state.questions.length === 0);
+    renderTagFilter();
 }
 
 // --- Rendering ---
 
+// Source badges only help when the bank mixes several files
+function hasMultipleSources(questions) {
+    return new Set(questions.map(q => q.source)).size > 1;
+}
+
 function renderQuestion(q, index) {
     const template = document.getElementById('question-template');
     const clone = template.content.cloneNode(true);
@@ -305,9 +760,26 @@ function renderQuestion(q, index) {
     // Set IDs for easy access
     card.id = `q-card-${q.id}`;
 
+    // Attribute exam clock time to the card being worked on (clicking a choice focuses it too)
+    card.addEventListener('focusin', () => { state.exam.activeQuestionId = q.id; });
+
     // Header
-    clone.querySelector('.question-id-badge').textContent = `Q${q.id}`;
-    clone.querySelector('.question-type-badge').textContent = q.type === 'SINGLE' ? 'Single Choice' : 'Multiple Choice';
+    clone.querySelector('.question-id-badge').textContent = questionLabel(q);
+    const sourceBadge = clone.querySelector('.question-source-badge');
+    if (q.source && state.multipleSources) {
+        sourceBadge.textContent = q.source;
+        sourceBadge.title = q.source;
+        sourceBadge.classList.remove('hidden');
+    }
+    if (q.tags && q.tags.length > 0) {
+        const tagsBadge = clone.querySelector('.question-tags-badge');
+        tagsBadge.textContent = q.tags.join(', ');
+        tagsBadge.title = `Topic: ${q.tags.join(', ')}`;
+        tagsBadge.classList.remove('hidden');
+    }
+    const typeLabel = q.type === 'SINGLE' ? 'Single Choice' : 'Multiple Choice';
+    const weight = q.weight || 1;
+    clone.querySelector('.question-type-badge').textContent = weight === 1 ? typeLabel : `${typeLabel} · ${weight} pts`;
     ContentRenderer.render(clone.querySelector('.question-text'), q.text);
 
     // Choices
@@ -332,17 +804,151 @@ function renderQuestion(q, index) {
 
         // Event Listener
         const input = label.querySelector('input');
-        input.addEventListener('change', () => handleInteraction(q, choice.key, input, card));
+        input.addEventListener('change', () => {
+            const wasOpen = q.status === 'unanswered';
+            handleInteraction(q, choice.key, input, card);
+            if (wasOpen && (q.status === 'correct' || q.status === 'incorrect')) {
+                recordReviewOutcome(q);
+            }
+            saveSession();
+        });
 
         choicesContainer.appendChild(label);
     });
 
+    if (q.dispute) renderDispute(clone, q);
+
     // Explanation (Hidden initially)
     const expContainer = clone.querySelector('.explanation-container');
     expContainer.id = `exp-${q.id}`;
     ContentRenderer.render(expContainer.querySelector('.explanation-text'), q.explanation || "No explanation provided.");
+    renderTutor(clone, q);
 
     elements.questionsContainer.appendChild(clone);
+    return card;
+}
+
+// Flags a question whose key the verification pass disagreed with; both answers sit behind a toggle
+function renderDispute(clone, q) {
+    clone.querySelector('.question-dispute-badge').classList.remove('hidden');
+    const container = clone.querySelector('.dispute-container');
+    container.classList.remove('hidden');
+
+    container.querySelector('.dispute-key').textContent = q.correctKeys.join(', ');
+    ContentRenderer.render(container.querySelector('.dispute-key-rationale'), q.explanation || 'No explanation provided.');
+    container.querySelector('.dispute-model-key').textContent = q.dispute.correctKeys.join(', ');
+    ContentRenderer.render(container.querySelector('.dispute-model-rationale'), q.dispute.rationale || 'No rationale provided.');
+
+    container.querySelector('.dispute-accept-btn').addEventListener('click', () => resolveDispute(q, 'accept'));
+    container.querySelector('.dispute-override-btn').addEventListener('click', () => resolveDispute(q, 'override'));
+    container.querySelector('.dispute-drop-btn').addEventListener('click', () => resolveDispute(q, 'drop'));
+}
+
+/**
+ * Settles a disputed question: 'accept' keeps the generated key, 'override' switches to the
+ * verification pass's answer (and its rationale as the explanation), 'drop' removes the question.
+ */
+function resolveDispute(q, action) {
+    const card = document.getElementById(`q-card-${q.id}`);
+
+    if (action === 'drop') {
+        removeQuestion(q);
+    } else if (action === 'accept') {
+        delete q.dispute;
+        card.querySelector('.question-dispute-badge').classList.add('hidden');
+        card.querySelector('.dispute-container').classList.add('hidden');
+    } else {
+        const answer = { ...state.answersMap.get(q.id), correctKeys: q.dispute.correctKeys, explanation: q.dispute.rationale };
+        state.answersMap.set(q.id, answer);
+        state.answerEntries = state.answerEntries.map(entry => entry.id === q.id ? answer : entry);
+        // The type follows the new key, e.g. a second correct option makes it Multiple Choice
+        q.explicitType = answer.correctKeys.length > 1 ? 'MULTIPLE' : 'SINGLE';
+
+        // Any attempt so far was graded against the old key
+        if (q.status === 'correct' || q.status === 'incorrect') state.stats[q.status]--;
+        QuizCore.matchAnswer(q, answer);
+        q.userSelectedKeys = undefined;
+        delete q.dispute;
+        card.replaceWith(renderQuestion(q, state.questions.indexOf(q)));
+        updateScoreboard();
+    }
+
+    // Keep the downloadable generated files in line with the settled key
+    if (typeof setGeneratedDownloads === 'function') {
+        setGeneratedDownloads(state.questions, state.answersMap);
+    }
+    saveSession();
+}
+
+// --- Tutor Chat ---
+// Follow-up questions about an answered card. The conversation is kept on the question (q.tutorChat).
+
+function renderTutor(clone, q) {
+    const container = clone.querySelector('.tutor-container');
+    const panel = container.querySelector('.tutor-panel');
+    const form = container.querySelector('.tutor-form');
+
+    container.querySelector('.tutor-toggle-btn').addEventListener('click', () => {
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) form.querySelector('.tutor-input').focus();
+    });
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        sendTutorMessage(q, container);
+    });
+
+    // A restored conversation stays open
+    if (q.tutorChat && q.tutorChat.length > 0) {
+        panel.classList.remove('hidden');
+        renderTutorMessages(container.querySelector('.tutor-messages'), q.tutorChat);
+    }
+}
+
+function renderTutorMessages(list, messages) {
+    list.innerHTML = '';
+    messages.forEach(message => {
+        const isUser = message.role === 'user';
+        const item = document.createElement('div');
+        item.className = isUser
+            ? 'p-2 rounded-lg bg-brand-50 dark:bg-brand-900/30 text-slate-800 dark:text-slate-200'
+            : 'p-2 rounded-lg bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-600';
+        item.innerHTML = `<span class="block text-xs font-semibold text-slate-500 dark:text-slate-400 mb-1">${isUser ? 'You' : 'Tutor'}</span><div class="tutor-message-text"></div>`;
+        ContentRenderer.render(item.querySelector('.tutor-message-text'), message.text);
+        list.appendChild(item);
+    });
+    list.scrollTop = list.scrollHeight;
+}
+
+async function sendTutorMessage(q, container) {
+    const input = container.querySelector('.tutor-input');
+    const sendBtn = container.querySelector('.tutor-send-btn');
+    const errorLine = container.querySelector('.tutor-error');
+    const list = container.querySelector('.tutor-messages');
+    const text = input.value.trim();
+    if (!text || sendBtn.disabled) return;
+
+    q.tutorChat = q.tutorChat || [];
+    q.tutorChat.push({ role: 'user', text });
+    input.value = '';
+    errorLine.classList.add('hidden');
+    sendBtn.disabled = true;
+    renderTutorMessages(list, q.tutorChat);
+    list.insertAdjacentHTML('beforeend', '<p class="tutor-pending text-xs text-slate-500 dark:text-slate-400 italic">Thinking...</p>');
+
+    try {
+        const reply = await askTutor(q, q.tutorChat);
+        q.tutorChat.push({ role: 'model', text: reply });
+        saveSession();
+    } catch (err) {
+        // Give the message back so it can be sent again
+        q.tutorChat.pop();
+        input.value = text;
+        errorLine.textContent = LLMProviders.describeError(err);
+        errorLine.classList.remove('hidden');
+    } finally {
+        sendBtn.disabled = false;
+        renderTutorMessages(list, q.tutorChat);
+    }
 }
 
 // --- Interaction Logic ---
@@ -350,98 +956,59 @@ function renderQuestion(q, index) {
 function handleInteraction(q, selectedKey, inputElement, cardElement) {
     if (q.status === 'correct' || q.status === 'incorrect') return; // Locked
 
+    if (q.status === 'awaiting') {
+        // Answer key still streaming in: remember the selection, it is graded when the answer arrives
+        q.userSelectedKeys = Array.from(cardElement.querySelectorAll('input'))
+            .filter(i => i.checked)
+            .map(i => i.value);
+        return;
+    }
+
+    if (state.exam.active) {
+        // Exam: just remember the selection, it can change until submission
+        state.exam.activeQuestionId = q.id;
+        q.userSelectedKeys = Array.from(cardElement.querySelectorAll('input'))
+            .filter(i => i.checked)
+            .map(i => i.value);
+        return;
+    }
+
     const allInputs = cardElement.querySelectorAll('input');
     const allLabels = cardElement.querySelectorAll('.choice-label');
     const expContainer = cardElement.querySelector('.explanation-container');
     const statusIcon = cardElement.querySelector('.status-icon');
 
-    if (q.type === 'SINGLE') {
-        // Single Choice Logic
-        const isCorrect = q.correctKeys.includes(selectedKey);
-
-        // Lock inputs
-        allInputs.forEach(inp => inp.disabled = true);
-        allLabels.forEach(lbl => lbl.classList.add('disabled'));
-
-        if (isCorrect) {
-            // Correct
-            markChoice(cardElement, selectedKey, 'correct');
-            q.status = 'correct';
-            state.stats.correct++;
-            showStatusIcon(statusIcon, 'correct');
-        } else {
-            // Incorrect
-            markChoice(cardElement, selectedKey, 'incorrect');
-            // Highlight correct one
-            q.correctKeys.forEach(key => markChoice(cardElement, key, 'correct'));
-            q.status = 'incorrect';
-            state.stats.incorrect++;
-            showStatusIcon(statusIcon, 'incorrect');
-        }
+    const checkedKeys = q.type === 'SINGLE'
+        ? [selectedKey]
+        : Array.from(allInputs).filter(i => i.checked).map(i => i.value);
+    const outcome = QuizCore.evaluateSelection(q, checkedKeys, selectedKey);
 
-        // Reveal Explanation
-        expContainer.classList.remove('hidden');
-        q.userSelectedKeys = [selectedKey];
-        updateScoreboard();
+    // Remember the selection (even a partial one) so it survives a reload
+    q.userSelectedKeys = checkedKeys;
+    if (outcome === 'pending') return;
 
-    } else {
-        // Multiple Choice Logic
-        // Get all currently checked inputs
-        const checkedInputs = Array.from(allInputs).filter(i => i.checked);
-        const checkedKeys = checkedInputs.map(i => i.value);
-
-        // Check if the LATEST click was incorrect
-        const isLatestCorrect = q.correctKeys.includes(selectedKey);
-
-        if (!isLatestCorrect) {
-            // IMMEDIATE FAILURE
-            // Lock inputs
-            allInputs.forEach(inp => inp.disabled = true);
-            allLabels.forEach(lbl => lbl.classList.add('disabled'));
-
-            // Mark clicked as incorrect
-            markChoice(cardElement, selectedKey, 'incorrect');
-
-            // Reveal all correct answers (missed ones)
-            q.correctKeys.forEach(key => {
-                if (!checkedKeys.includes(key)) {
-                    markChoice(cardElement, key, 'missed');
-                } else {
-                    markChoice(cardElement, key, 'correct');
-                }
-            });
-
-            q.status = 'incorrect';
-            state.stats.incorrect++;
-            showStatusIcon(statusIcon, 'incorrect');
-            expContainer.classList.remove('hidden');
-            q.userSelectedKeys = checkedKeys;
-            updateScoreboard();
-            return;
-        }
+    // Lock inputs
+    allInputs.forEach(inp => inp.disabled = true);
+    allLabels.forEach(lbl => lbl.classList.add('disabled'));
 
-        // If we are here, the latest click was CORRECT.
-        // Check if ALL correct keys are selected
-        const allCorrectSelected = q.correctKeys.every(k => checkedKeys.includes(k));
-        const noIncorrectSelected = checkedKeys.every(k => q.correctKeys.includes(k)); // Should be true if we reached here
-
-        if (allCorrectSelected && noIncorrectSelected) {
-            // SUCCESS
-            // Lock inputs
-            allInputs.forEach(inp => inp.disabled = true);
-            allLabels.forEach(lbl => lbl.classList.add('disabled'));
-
-            // Mark all selected as correct
-            checkedKeys.forEach(key => markChoice(cardElement, key, 'correct'));
-
-            q.status = 'correct';
-            state.stats.correct++;
-            showStatusIcon(statusIcon, 'correct');
-            expContainer.classList.remove('hidden');
-            q.userSelectedKeys = checkedKeys;
-            updateScoreboard();
-        }
+    if (outcome === 'correct') {
+        checkedKeys.forEach(key => markChoice(cardElement, key, 'correct'));
+        q.status = 'correct';
+        state.stats.correct++;
+    } else {
+        markChoice(cardElement, selectedKey, 'incorrect');
+        // Reveal the correct answers, flagging the ones a Multiple Choice attempt missed
+        q.correctKeys.forEach(key => {
+            const missed = q.type === 'MULTIPLE' && !checkedKeys.includes(key);
+            markChoice(cardElement, key, missed ? 'missed' : 'correct');
+        });
+        q.status = 'incorrect';
+        state.stats.incorrect++;
     }
+
+    showStatusIcon(statusIcon, q.status);
+    expContainer.classList.remove('hidden');
+    updateScoreboard();
 }
 
 // --- Helpers ---
@@ -468,9 +1035,36 @@ function updateScoreboard() {
     elements.scoreCorrect.textContent = state.stats.correct;
     elements.scoreIncorrect.textContent = state.stats.incorrect;
 
-    const answered = state.stats.correct + state.stats.incorrect;
-    const percent = answered > 0 ? Math.round((state.stats.correct / answered) * 100) : 0;
+    const points = getPointsSummary();
+    const percent = points.answeredMax > 0 ? Math.round((points.earned / points.answeredMax) * 100) : 0;
     elements.scorePercent.textContent = `${percent}%`;
+    elements.scorePoints.textContent = `${formatPoints(points.earned)}/${formatPoints(points.totalMax)}`;
+}
+
+// --- Scoring ---
+
+// Points earned for a selection under the active scoring policy
+function scoreSelection(q, selectedKeys) {
+    return QuizCore.scoreSelection(q, selectedKeys, state.settings);
+}
+
+// Sums points over graded questions: earned, max of those answered, and max of the bank
+function getPointsSummary() {
+    const summary = { earned: 0, answeredMax: 0, totalMax: 0 };
+    state.questions.forEach(q => {
+        if (q.status === 'ungraded' || q.status === 'awaiting') return;
+        const weight = q.weight || 1;
+        summary.totalMax += weight;
+        if (q.status === 'correct' || q.status === 'incorrect') {
+            summary.earned += scoreSelection(q, q.userSelectedKeys || []);
+            summary.answeredMax += weight;
+        }
+    });
+    return summary;
+}
+
+function formatPoints(points) {
+    return String(Math.round(points * 100) / 100);
 }
 
 function showError(msg) {
@@ -478,19 +1072,331 @@ function showError(msg) {
     elements.parseError.classList.remove('hidden');
 }
 
+function showWarnings(title, items) {
+    elements.parseError.innerHTML = '';
+    const heading = document.createElement('p');
+    heading.className = 'font-semibold mb-2';
+    heading.textContent = title;
+    const list = document.createElement('ul');
+    list.className = 'list-disc pl-5 space-y-1';
+    items.forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = item;
+        list.appendChild(li);
+    });
+    elements.parseError.append(heading, list);
+    elements.parseError.classList.remove('hidden');
+}
+
 function resetApp() {
     if (!confirm("Are you sure you want to reset all progress?")) return;
     state.questions = [];
     state.answersMap = new Map();
+    state.answerEntries = [];
+    state.questionFiles = [];
+    state.answerFiles = [];
+    hideValidationReport();
+    hidePairingPanel();
     state.stats = { total: 0, correct: 0, incorrect: 0 };
+    state.originalBank = null;
+    state.rounds = [];
+    updateRoundBanner();
+    stopExam();
 
     elements.questionsContainer.innerHTML = '';
+    elements.bankToolbar.classList.add('hidden');
+    renderTagFilter();
     elements.questionsFile.value = '';
     elements.answersFile.value = '';
     elements.questionsStatus.textContent = '';
     elements.answersStatus.textContent = '';
     elements.parseError.classList.add('hidden');
     updateScoreboard();
+    discardSession();
+}
+
+// --- Session Persistence ---
+
+function saveSession() {
+    if (state.questions.length === 0) return;
+
+    const snapshot = {
+        savedAt: Date.now(),
+        questions: state.questions,
+        answersMap: state.answersMap,
+        originalBank: state.originalBank,
+        rounds: state.rounds,
+        exam: state.exam,
+        startedAt: state.startedAt,
+        historyId: state.historyId
+    };
+
+    AppStorage.put('sessions', snapshot, SESSION_KEY).catch(err => {
+        console.warn('Failed to save session:', err);
+    });
+}
+
+async function checkForSavedSession() {
+    try {
+        const snapshot = await AppStorage.get('sessions', SESSION_KEY);
+        if (!snapshot || !snapshot.questions || snapshot.questions.length === 0) return;
+
+        // Don't offer to resume over a bank that was loaded in the meantime
+        if (state.questions.length > 0) return;
+
+        const answered = snapshot.questions.filter(q => q.status === 'correct' || q.status === 'incorrect').length;
+        const savedAt = new Date(snapshot.savedAt).toLocaleString();
+        elements.resumeSummary.textContent = `${snapshot.questions.length} questions, ${answered} answered (saved ${savedAt})`;
+        elements.resumeBanner.classList.remove('hidden');
+    } catch (err) {
+        console.warn('Failed to read saved session:', err);
+    }
+}
+
+async function resumeSession() {
+    elements.resumeBanner.classList.add('hidden');
+
+    try {
+        const snapshot = await AppStorage.get('sessions', SESSION_KEY);
+        if (!snapshot) return;
+        restoreSession(snapshot);
+    } catch (err) {
+        showError(`Error restoring session: ${err.message}`);
+    }
+}
+
+function discardSession() {
+    elements.resumeBanner.classList.add('hidden');
+    AppStorage.delete('sessions', SESSION_KEY).catch(err => {
+        console.warn('Failed to discard session:', err);
+    });
+}
+
+function restoreSession(snapshot) {
+    state.questions = snapshot.questions;
+    state.answersMap = snapshot.answersMap;
+    state.originalBank = snapshot.originalBank || null;
+    state.rounds = snapshot.rounds || [];
+    updateRoundBanner();
+    stopExam();
+
+    // processAndRender resets every card, so keep the saved progress aside first
+    const progress = state.questions.map(q => ({
+        status: q.status,
+        userSelectedKeys: q.userSelectedKeys || []
+    }));
+
+    processAndRender();
+    state.questions.forEach((q, index) => restoreQuestionProgress(q, progress[index]));
+    state.startedAt = snapshot.startedAt || state.startedAt;
+    state.historyId = snapshot.historyId ?? null;
+    updateScoreboard();
+
+    if (snapshot.exam && snapshot.exam.active) {
+        resumeExam(snapshot.exam);
+    }
+
+    elements.questionsStatus.textContent = `Restored ${state.questions.length} questions.`;
+    elements.answersStatus.textContent = `Restored ${state.answersMap.size} answers.`;
+}
+
+function restoreQuestionProgress(q, saved) {
+    const card = document.getElementById(`q-card-${q.id}`);
+    if (!card) return;
+
+    const selectedKeys = saved.userSelectedKeys;
+    card.querySelectorAll('input').forEach(inp => {
+        inp.checked = selectedKeys.includes(inp.value);
+    });
+    q.userSelectedKeys = selectedKeys;
+
+    // In-progress MULTIPLE question or pending exam answer: only the ticks are restored
+    if (saved.status !== 'correct' && saved.status !== 'incorrect') return;
+
+    q.status = saved.status;
+    state.stats[saved.status]++;
+    revealOutcome(q, card);
+}
+
+// Locks a graded card and marks its choices from q.status and q.userSelectedKeys
+function revealOutcome(q, card) {
+    const selectedKeys = q.userSelectedKeys || [];
+
+    card.querySelectorAll('input').forEach(inp => inp.disabled = true);
+    card.querySelectorAll('.choice-label').forEach(lbl => lbl.classList.add('disabled'));
+
+    selectedKeys.forEach(key => {
+        markChoice(card, key, q.correctKeys.includes(key) ? 'correct' : 'incorrect');
+    });
+    if (q.status === 'incorrect') {
+        q.correctKeys
+            .filter(key => !selectedKeys.includes(key))
+            .forEach(key => markChoice(card, key, q.type === 'MULTIPLE' ? 'missed' : 'correct'));
+    }
+
+    showStatusIcon(card.querySelector('.status-icon'), q.status);
+    card.querySelector('.explanation-container').classList.remove('hidden');
+}
+
+// --- Exam Mode ---
+
+function startExam() {
+    const minutes = state.settings.examMinutes;
+    state.exam = {
+        active: true,
+        endsAt: minutes > 0 ? Date.now() + minutes * 60 * 1000 : null,
+        activeQuestionId: null
+    };
+    state.questions.forEach(q => { q.timeSpentMs = 0; });
+    startExamTimer();
+}
+
+function resumeExam(savedExam) {
+    state.exam = { ...savedExam };
+    if (state.exam.endsAt && Date.now() >= state.exam.endsAt) {
+        submitExam(true);
+        return;
+    }
+    startExamTimer();
+}
+
+function stopExam() {
+    clearInterval(examTimerId);
+    examTimerId = null;
+    state.exam = { active: false, endsAt: null, activeQuestionId: null };
+    elements.examTimer.classList.add('hidden');
+    elements.finishBtn.textContent = 'Finish & Review';
+}
+
+function startExamTimer() {
+    clearInterval(examTimerId);
+    lastExamTick = Date.now();
+    examPaused = document.hidden;
+    elements.finishBtn.textContent = 'Submit Exam';
+    elements.examTimer.classList.remove('hidden');
+    updateExamTimer();
+    examTimerId = setInterval(updateExamTimer, 1000);
+}
+
+// Charges the time since the last tick to whichever question is being worked on
+function chargeExamTime() {
+    const now = Date.now();
+    const activeQ = state.questions.find(q => q.id === state.exam.activeQuestionId);
+    if (activeQ && !examPaused) activeQ.timeSpentMs = (activeQ.timeSpentMs || 0) + (now - lastExamTick);
+    lastExamTick = now;
+}
+
+// Pauses the per-question clock while the tab is hidden; a countdown keeps running
+function handleExamVisibility() {
+    if (!examTimerId) return;
+    chargeExamTime();
+    examPaused = document.hidden;
+    if (!examPaused) updateExamTimer();
+}
+
+function updateExamTimer() {
+    const now = Date.now();
+    chargeExamTime();
+
+    if (state.exam.endsAt) {
+        const remaining = Math.max(0, state.exam.endsAt - now);
+        elements.examTimer.textContent = formatDuration(remaining);
+        elements.examTimer.classList.toggle('text-red-600', remaining < 60 * 1000);
+        if (remaining === 0) submitExam(true);
+    } else {
+        elements.examTimer.textContent = formatDuration(state.questions.reduce((sum, q) => sum + (q.timeSpentMs || 0), 0));
+    }
+}
+
+function handleFinish() {
+    if (state.exam.active) {
+        const unanswered = state.questions.filter(q => !q.userSelectedKeys || q.userSelectedKeys.length === 0).length;
+        const warning = unanswered > 0 ? `\n${unanswered} question(s) are still unanswered.` : '';
+        if (!confirm(`Submit the exam for grading?${warning}`)) return;
+        submitExam(false);
+        return;
+    }
+    showResults();
+}
+
+// Grades every answer at once; unanswered questions count as incorrect
+function submitExam(timedOut) {
+    chargeExamTime();
+    stopExam();
+
+    state.questions.forEach(q => {
+        const card = document.getElementById(`q-card-${q.id}`);
+        if (q.status === 'ungraded') {
+            card?.querySelectorAll('input').forEach(inp => inp.disabled = true);
+            return;
+        }
+
+        q.userSelectedKeys = q.userSelectedKeys || [];
+        q.status = gradeSelection(q, q.userSelectedKeys);
+        state.stats[q.status]++;
+        if (card) revealOutcome(q, card);
+        recordReviewOutcome(q);
+    });
+
+    updateScoreboard();
+    saveSession();
+    if (timedOut) alert("Time's up! Your exam has been submitted.");
+    showResults();
+}
+
+function formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+// --- Spaced Repetition ---
+
+function recordReviewOutcome(q) {
+    q.attempts = (q.attempts || 0) + 1;
+    ReviewScheduler.record(q, q.status === 'correct', q.attempts === 1)
+        .then(refreshReviewSummary)
+        .catch(err => console.warn('Failed to update review schedule:', err));
+}
+
+async function refreshReviewSummary() {
+    try {
+        const due = await ReviewScheduler.countDue();
+        elements.reviewSummary.textContent = `${due.today} due today · ${due.tomorrow} due tomorrow`;
+        elements.startReviewBtn.disabled = due.today === 0;
+    } catch (err) {
+        console.warn('Failed to count due reviews:', err);
+    }
+}
+
+async function startDueReview() {
+    try {
+        const cards = await ReviewScheduler.getDueCards();
+        if (cards.length === 0) return;
+
+        // Due cards can come from different banks, so number them afresh
+        state.questions = cards.map((card, index) => ({
+            id: String(index + 1),
+            text: card.question.text,
+            explicitType: card.question.explicitType,
+            choices: card.question.choices.map(c => ({ ...c })),
+            rawLine: null
+        }));
+        state.answersMap = new Map(cards.map((card, index) => [String(index + 1), {
+            id: String(index + 1),
+            correctKeys: card.answer.correctKeys,
+            explanation: card.answer.explanation
+        }]));
+
+        elements.resumeBanner.classList.add('hidden');
+        elements.parseError.classList.add('hidden');
+        elements.questionsStatus.textContent = `Loaded ${cards.length} due questions.`;
+        elements.answersStatus.textContent = '';
+        startNewSession();
+    } catch (err) {
+        showError(`Error starting review: ${err.message}`);
+    }
 }
 
 // --- Results & Export ---
@@ -505,24 +1411,46 @@ function showResults() {
     elements.summaryTotal.textContent = state.stats.total;
     elements.summaryCorrect.textContent = state.stats.correct;
     elements.summaryIncorrect.textContent = state.stats.incorrect;
-    const answered = state.stats.correct + state.stats.incorrect;
-    const percent = answered > 0 ? Math.round((state.stats.correct / answered) * 100) : 0;
+    const points = getPointsSummary();
+    const percent = points.answeredMax > 0 ? Math.round((points.earned / points.answeredMax) * 100) : 0;
     elements.summaryPercent.textContent = `${percent}%`;
 
-    // Populate Wrong Answers
+    // Pass/fail is judged against the whole bank, so skipped questions count against you
+    const bankPercent = points.totalMax > 0 ? (points.earned / points.totalMax) * 100 : 0;
+    const passed = bankPercent >= state.settings.passMark;
+    elements.summaryPoints.textContent = `${formatPoints(points.earned)} / ${formatPoints(points.totalMax)} points (${Math.round(bankPercent)}%) · pass mark ${state.settings.passMark}%`;
+    elements.summaryVerdict.textContent = passed ? 'Passed' : 'Not passed';
+    elements.summaryVerdict.className = passed
+        ? 'px-2 py-1 rounded text-xs font-semibold uppercase bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400'
+        : 'px-2 py-1 rounded text-xs font-semibold uppercase bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400';
+
+    // Populate Wrong Answers (and any other question with a tutor conversation)
     elements.wrongAnswersList.innerHTML = '';
     const wrongQs = state.questions.filter(q => q.status === 'incorrect');
+    const reviewQs = state.questions.filter(q => q.status === 'incorrect' || (q.tutorChat && q.tutorChat.length > 0));
+
+    // Retry actions
+    updateCurrentRound();
+    renderRoundsSummary();
+    elements.retryIncorrectBtn.textContent = `Retry Incorrect Only (${wrongQs.length})`;
+    elements.retryIncorrectBtn.classList.toggle('hidden', wrongQs.length === 0);
+    elements.followUpControls.classList.toggle('hidden', wrongQs.length === 0);
+    elements.backToBankBtn.classList.toggle('hidden', !state.originalBank);
 
-    if (wrongQs.length === 0) {
+    if (reviewQs.length === 0) {
         elements.wrongAnswersList.innerHTML = '<p class="text-slate-500 dark:text-slate-400 italic text-center py-8">No incorrect answers to review. Great job!</p>';
     } else {
-        wrongQs.forEach(q => {
+        reviewQs.forEach(q => {
+            const isWrong = q.status === 'incorrect';
             const div = document.createElement('div');
-            div.className = 'bg-red-50 dark:bg-red-900/20 p-4 rounded-lg border border-red-100 dark:border-red-800';
+            div.className = isWrong
+                ? 'bg-red-50 dark:bg-red-900/20 p-4 rounded-lg border border-red-100 dark:border-red-800'
+                : 'bg-slate-50 dark:bg-slate-700/50 p-4 rounded-lg border border-slate-200 dark:border-slate-600';
             div.innerHTML = `
                 <div class="flex justify-between mb-2">
-                    <span class="font-bold text-red-800 dark:text-red-300">Q${q.id}</span>
-                    <span class="text-xs text-red-600 dark:text-red-400 uppercase font-semibold">Incorrect</span>
+                    <span><span class="font-bold ${isWrong ? 'text-red-800 dark:text-red-300' : 'text-slate-800 dark:text-slate-200'}">${questionLabel(q)}</span>
+                    <span class="text-xs text-slate-500 dark:text-slate-400 ml-2 result-q-source"></span></span>
+                    <span class="text-xs ${isWrong ? 'text-red-600 dark:text-red-400' : 'text-slate-500 dark:text-slate-400'} uppercase font-semibold">${isWrong ? 'Incorrect' : q.status}</span>
                 </div>
                 <div class="text-slate-800 dark:text-slate-200 mb-3 result-q-text"></div>
                 <div class="text-sm space-y-1 mb-3">
@@ -533,11 +1461,98 @@ function showResults() {
                     <span class="font-semibold text-slate-700 dark:text-slate-200">Explanation:</span> <div class="inline result-q-exp"></div>
                 </div>
             `;
+            div.querySelector('.result-q-source').textContent = q.source || '';
             ContentRenderer.render(div.querySelector('.result-q-text'), q.text);
             ContentRenderer.render(div.querySelector('.result-q-exp'), q.explanation);
+            if (q.tutorChat && q.tutorChat.length > 0) {
+                const chat = document.createElement('div');
+                chat.className = 'mt-3 space-y-2 text-sm';
+                chat.innerHTML = '<span class="font-semibold text-slate-700 dark:text-slate-200">Tutor conversation:</span><div class="result-q-chat space-y-2 mt-1"></div>';
+                renderTutorMessages(chat.querySelector('.result-q-chat'), q.tutorChat);
+                div.appendChild(chat);
+            }
             elements.wrongAnswersList.appendChild(div);
         });
     }
+
+    renderTopicBreakdown();
+    renderTimeBreakdown();
+    logFinishedSession();
+}
+
+// Accuracy per topic tag, weakest first; a question with several tags counts for each
+function renderTopicBreakdown() {
+    const topics = summarizeTopics(state.questions);
+    elements.topicBreakdownList.innerHTML = '';
+    elements.topicBreakdownSection.classList.toggle('hidden', topics.length === 0);
+
+    topics.forEach(t => {
+        const percent = t.answered > 0 ? Math.round((t.correct / t.answered) * 100) : null;
+        const barClass = percent === null ? '' : percent >= state.settings.passMark ? 'bg-green-500' : 'bg-red-500';
+        const row = document.createElement('div');
+        row.className = 'py-2 text-sm';
+        row.innerHTML = `
+            <div class="flex justify-between gap-4">
+                <span class="font-semibold text-slate-700 dark:text-slate-200 truncate topic-name"></span>
+                <span class="text-slate-600 dark:text-slate-300 tabular-nums whitespace-nowrap">${percent === null
+                    ? `${t.total} not answered`
+                    : `${t.correct}/${t.answered} correct (${percent}%)${t.answered < t.total ? ` · ${t.total - t.answered} not answered` : ''}`}</span>
+            </div>
+            <div class="mt-1 h-1.5 bg-slate-200 dark:bg-slate-600 rounded-full overflow-hidden">
+                <div class="h-full ${barClass}" style="width: ${percent || 0}%"></div>
+            </div>
+        `;
+        row.querySelector('.topic-name').textContent = t.tag;
+        elements.topicBreakdownList.appendChild(row);
+    });
+}
+
+/**
+ * Counts per topic tag: {tag, total, answered, correct}, weakest answered topics first.
+ * Untagged questions are grouped as "Untagged" when other questions have tags; with no tags at all the list is empty.
+ */
+function summarizeTopics(questions) {
+    if (!questions.some(q => q.tags && q.tags.length > 0)) return [];
+
+    const topics = new Map();
+    questions.forEach(q => {
+        const tags = q.tags && q.tags.length > 0 ? q.tags : ['Untagged'];
+        tags.forEach(tag => {
+            if (!topics.has(tag)) topics.set(tag, { tag, total: 0, answered: 0, correct: 0 });
+            const t = topics.get(tag);
+            t.total++;
+            if (q.status === 'correct' || q.status === 'incorrect') t.answered++;
+            if (q.status === 'correct') t.correct++;
+        });
+    });
+
+    const accuracy = t => t.answered > 0 ? t.correct / t.answered : Infinity;
+    return Array.from(topics.values()).sort((a, b) => accuracy(a) - accuracy(b) || a.tag.localeCompare(b.tag));
+}
+
+// Where the clock went during a timed exam, slowest questions first
+function renderTimeBreakdown() {
+    const timed = state.questions
+        .filter(q => q.timeSpentMs > 0)
+        .sort((a, b) => b.timeSpentMs - a.timeSpentMs);
+
+    elements.timeBreakdownList.innerHTML = '';
+    elements.timeBreakdownSection.classList.toggle('hidden', timed.length === 0);
+
+    timed.forEach(q => {
+        const statusClass = q.status === 'correct'
+            ? 'text-green-600 dark:text-green-400'
+            : 'text-red-600 dark:text-red-400';
+        const row = document.createElement('div');
+        row.className = 'flex justify-between text-sm py-1';
+        row.innerHTML = `
+            <span><span class="font-semibold ${statusClass}">${questionLabel(q)}</span>
+            <span class="text-xs text-slate-500 dark:text-slate-400 ml-2 time-source"></span></span>
+            <span class="text-slate-600 dark:text-slate-300 tabular-nums">${formatDuration(q.timeSpentMs)}</span>
+        `;
+        row.querySelector('.time-source').textContent = q.source || '';
+        elements.timeBreakdownList.appendChild(row);
+    });
 }
 
 function hideResults() {
@@ -547,26 +1562,450 @@ function hideResults() {
     }, 300);
 }
 
+// --- Progress History ---
+// Every finished session is logged (history.js); the dashboard charts the log.
+
+// The session shown in the results, as a history entry
+function buildHistoryEntry() {
+    const points = getPointsSummary();
+    const current = state.rounds[state.rounds.length - 1];
+    const examTime = state.questions.reduce((sum, q) => sum + (q.timeSpentMs || 0), 0);
+    const sources = Array.from(new Set(state.questions.map(q => q.source).filter(Boolean)));
+
+    const entry = {
+        finishedAt: Date.now(),
+        bank: sources.length > 0 ? sources.join(', ') : 'Untitled bank',
+        round: current ? current.round : 1,
+        mode: examTime > 0 ? 'exam' : 'practice',
+        total: state.stats.total,
+        answered: state.stats.correct + state.stats.incorrect,
+        correct: state.stats.correct,
+        incorrect: state.stats.incorrect,
+        points: points.earned,
+        maxPoints: points.answeredMax,
+        percent: points.answeredMax > 0 ? Math.round((points.earned / points.answeredMax) * 100) : 0,
+        // The exam clock when there was one, otherwise the time since the questions were loaded
+        durationMs: examTime > 0 ? examTime : Date.now() - (state.startedAt || Date.now()),
+        questions: state.questions.map(q => {
+            const selected = q.userSelectedKeys || [];
+            return {
+                hash: ReviewScheduler.hashQuestion(q),
+                label: questionLabel(q),
+                text: questionStem(q).slice(0, 300),
+                tags: q.tags || [],
+                status: q.status,
+                selected,
+                correct: q.correctKeys,
+                wrongChoices: selected
+                    .filter(key => !q.correctKeys.includes(key))
+                    .map(key => (q.choices.find(c => c.key === key) || {}).text)
+                    .filter(Boolean)
+            };
+        })
+    };
+    if (state.historyId !== null) entry.id = state.historyId;
+    return entry;
+}
+
+// Logs the session when its results are shown; showing them again updates the same entry
+function logFinishedSession() {
+    const entry = buildHistoryEntry();
+    if (entry.answered === 0) return;
+
+    ProgressHistory.record(entry)
+        .then(id => {
+            if (id === undefined) return;
+            state.historyId = id;
+            saveSession();
+        })
+        .catch(err => console.warn('Failed to log session:', err));
+}
+
+async function showDashboard() {
+    elements.dashboardModal.classList.remove('hidden');
+    void elements.dashboardModal.offsetWidth;
+    elements.dashboardModal.classList.add('visible');
+
+    try {
+        renderDashboard(await ProgressHistory.getAll());
+    } catch (err) {
+        console.warn('Failed to read progress history:', err);
+        renderDashboard([]);
+    }
+}
+
+function hideDashboard() {
+    elements.dashboardModal.classList.remove('visible');
+    setTimeout(() => {
+        elements.dashboardModal.classList.add('hidden');
+    }, 300);
+}
+
+function renderDashboard(entries) {
+    elements.dashboardEmpty.classList.toggle('hidden', entries.length > 0);
+    elements.dashboardBody.classList.toggle('hidden', entries.length === 0);
+    elements.clearHistoryBtn.classList.toggle('hidden', entries.length === 0);
+    elements.exportHistoryBtn.classList.toggle('hidden', entries.length === 0);
+    if (entries.length === 0) return;
+
+    elements.dashboardSessions.textContent = entries.length;
+    elements.dashboardAverage.textContent = `${Math.round(entries.reduce((sum, e) => sum + e.percent, 0) / entries.length)}%`;
+    elements.dashboardBest.textContent = `${Math.max(...entries.map(e => e.percent))}%`;
+    elements.dashboardTime.textContent = formatDuration(entries.reduce((sum, e) => sum + e.durationMs, 0));
+    elements.dashboardChart.innerHTML = ProgressHistory.trendChart(entries, state.settings.passMark);
+
+    elements.dashboardHardest.innerHTML = '';
+    const hardest = ProgressHistory.hardestQuestions(entries);
+    if (hardest.length === 0) {
+        elements.dashboardHardest.innerHTML = '<p class="text-sm text-slate-500 dark:text-slate-400 italic">No missed questions yet.</p>';
+    }
+    hardest.forEach(h => {
+        const row = document.createElement('div');
+        row.className = 'py-2 text-sm';
+        row.innerHTML = `
+            <div class="flex justify-between gap-4">
+                <span class="font-semibold text-slate-700 dark:text-slate-200 truncate dashboard-q-label"></span>
+                <span class="text-red-600 dark:text-red-400 tabular-nums whitespace-nowrap">Missed ${h.misses} of ${h.attempts} (${Math.round(h.missRate * 100)}%)</span>
+            </div>
+            <div class="text-slate-600 dark:text-slate-300 mt-1 dashboard-q-text"></div>
+        `;
+        row.querySelector('.dashboard-q-label').textContent = h.label;
+        ContentRenderer.render(row.querySelector('.dashboard-q-text'), h.text);
+        elements.dashboardHardest.appendChild(row);
+    });
+
+    elements.dashboardDistractors.innerHTML = '';
+    const distractors = ProgressHistory.commonDistractors(entries);
+    if (distractors.length === 0) {
+        elements.dashboardDistractors.innerHTML = '<p class="text-sm text-slate-500 dark:text-slate-400 italic">No wrong answers yet.</p>';
+    }
+    distractors.forEach(d => {
+        const row = document.createElement('div');
+        row.className = 'py-2 text-sm';
+        row.innerHTML = `
+            <div class="flex justify-between gap-4">
+                <span class="font-semibold text-slate-700 dark:text-slate-200 truncate dashboard-q-label"></span>
+                <span class="text-slate-600 dark:text-slate-300 tabular-nums whitespace-nowrap">Chosen ${d.count} of ${d.attempts} time(s)</span>
+            </div>
+            <div class="text-slate-600 dark:text-slate-300 mt-1 dashboard-q-text"></div>
+            <div class="mt-1 text-red-700 dark:text-red-400"><span class="font-semibold">Wrong answer:</span> <span class="dashboard-choice"></span></div>
+        `;
+        row.querySelector('.dashboard-q-label').textContent = d.label;
+        ContentRenderer.render(row.querySelector('.dashboard-q-text'), d.text);
+        ContentRenderer.render(row.querySelector('.dashboard-choice'), d.choice);
+        elements.dashboardDistractors.appendChild(row);
+    });
+
+    elements.dashboardSessionsList.innerHTML = '';
+    entries.slice(-10).reverse().forEach(e => {
+        const row = document.createElement('div');
+        row.className = 'flex justify-between gap-4 text-sm py-1';
+        row.innerHTML = `
+            <span class="truncate"><span class="font-semibold text-slate-700 dark:text-slate-200">${new Date(e.finishedAt).toLocaleString()}</span>
+            <span class="text-xs text-slate-500 dark:text-slate-400 ml-2 session-bank"></span></span>
+            <span class="text-slate-600 dark:text-slate-300 tabular-nums whitespace-nowrap">${e.correct}/${e.answered} · ${e.percent}% · ${formatDuration(e.durationMs)}</span>
+        `;
+        row.querySelector('.session-bank').textContent = e.round > 1 ? `${e.bank} (round ${e.round})` : e.bank;
+        elements.dashboardSessionsList.appendChild(row);
+    });
+}
+
+async function clearHistory() {
+    if (!confirm('Delete the progress history of every session?')) return;
+    try {
+        await ProgressHistory.clear();
+        state.historyId = null;
+        saveSession();
+        renderDashboard([]);
+    } catch (err) {
+        console.warn('Failed to clear progress history:', err);
+    }
+}
+
+async function exportHistory() {
+    const entries = await ProgressHistory.getAll();
+    const data = { exportedAt: new Date().toISOString(), sessions: entries };
+    downloadFile(`mcq-history-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+// --- Retry Rounds ---
+
+function startRetryRound() {
+    const wrongQs = state.questions.filter(q => q.status === 'incorrect');
+    if (wrongQs.length === 0) return;
+
+    updateCurrentRound();
+    if (!state.originalBank) {
+        state.originalBank = { questions: state.questions, answersMap: state.answersMap };
+    }
+
+    // Fresh copies so the original bank keeps its own progress
+    state.questions = wrongQs.map(q => {
+        const { status, userSelectedKeys, timeSpentMs, ...rest } = q;
+        return { ...rest, choices: q.choices.map(c => ({ ...c })) };
+    });
+    state.rounds.push({ round: state.rounds.length + 2, total: wrongQs.length, recovered: 0 });
+
+    // Own copy of the answers, since shuffling remaps keys
+    state.answersMap = new Map(state.answersMap);
+
+    hideResults();
+    updateRoundBanner();
+    stopExam();
+    applyShuffle();
+    processAndRender();
+    saveSession();
+    window.scrollTo({ top: elements.questionsContainer.offsetTop - 100, behavior: 'smooth' });
+}
+
+function backToFullBank() {
+    if (!state.originalBank) return;
+
+    hideResults();
+    const { questions, answersMap } = state.originalBank;
+    restoreSession({ questions, answersMap, originalBank: null, rounds: [] });
+    saveSession();
+}
+
+// Refreshes the recovered count of the round being practiced
+function updateCurrentRound() {
+    const current = state.rounds[state.rounds.length - 1];
+    if (!current) return;
+    current.recovered = state.questions.filter(q => q.status === 'correct').length;
+}
+
+function updateRoundBanner() {
+    const current = state.rounds[state.rounds.length - 1];
+    if (!current) {
+        elements.roundBanner.classList.add('hidden');
+        return;
+    }
+    if (current.followUp) {
+        elements.roundBannerText.textContent = `Follow-up round ${current.round}: ${current.total} new question(s) on your mistakes`;
+    } else if (current.tags) {
+        elements.roundBannerText.textContent = `Topic round ${current.round}: ${current.total} question(s) on ${current.tags.join(', ')}`;
+    } else {
+        elements.roundBannerText.textContent = `Retry round ${current.round}: ${current.total} question(s) you got wrong`;
+    }
+    elements.roundBanner.classList.remove('hidden');
+}
+
+function renderRoundsSummary() {
+    elements.roundsSummary.innerHTML = '';
+    if (state.rounds.length === 0) {
+        elements.roundsSummary.classList.add('hidden');
+        return;
+    }
+
+    state.rounds.forEach(r => {
+        const left = r.total - r.recovered;
+        const row = document.createElement('div');
+        row.className = 'flex justify-between text-sm py-1';
+        row.innerHTML = `
+            <span class="font-semibold text-slate-700 dark:text-slate-200">Round ${r.round}</span>
+            <span class="text-slate-600 dark:text-slate-300">${r.followUp || r.tags ? 'Correct' : 'Recovered'} ${r.recovered} of ${r.total}${left === 0 ? ' · nothing left!' : ` · ${left} left`}</span>
+        `;
+        elements.roundsSummary.appendChild(row);
+    });
+    elements.roundsSummary.classList.remove('hidden');
+}
+
+// --- Topic Tags ---
+// Questions can carry tags (q.tags, e.g. from "Q5 [Single] {topic: convexity}:" or a generated topic).
+// Choosing tags in the filter bar practices just those questions as a round of their own.
+
+// The tags of the full bank (not just the round being practiced), as chips that can be picked
+function renderTagFilter() {
+    const bank = state.originalBank ? state.originalBank.questions : state.questions;
+    const counts = new Map();
+    bank.forEach(q => (q.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+
+    state.selectedTags = state.selectedTags.filter(tag => counts.has(tag));
+    elements.tagFilterList.innerHTML = '';
+    elements.tagFilter.classList.toggle('hidden', counts.size === 0);
+
+    Array.from(counts.keys()).sort((a, b) => a.localeCompare(b)).forEach(tag => {
+        const selected = state.selectedTags.includes(tag);
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = selected
+            ? 'px-3 py-1 rounded-full border border-brand-600 bg-brand-600 text-white transition-colors'
+            : 'px-3 py-1 rounded-full border border-slate-300 dark:border-slate-600 text-slate-600 dark:text-slate-300 hover:border-brand-500 transition-colors';
+        chip.setAttribute('aria-pressed', String(selected));
+        chip.textContent = `${tag} (${counts.get(tag)})`;
+        chip.addEventListener('click', () => {
+            state.selectedTags = selected
+                ? state.selectedTags.filter(t => t !== tag)
+                : [...state.selectedTags, tag];
+            renderTagFilter();
+        });
+        elements.tagFilterList.appendChild(chip);
+    });
+
+    const matching = bank.filter(q => (q.tags || []).some(tag => state.selectedTags.includes(tag))).length;
+    elements.practiceTagsBtn.disabled = matching === 0;
+    elements.practiceTagsBtn.textContent = matching > 0 ? `Practice selected (${matching})` : 'Practice selected';
+}
+
+// Practices the full bank's questions with any of the selected tags, like a retry round
+function startTagRound() {
+    const tags = [...state.selectedTags];
+    const bank = state.originalBank ? state.originalBank.questions : state.questions;
+    const matching = bank.filter(q => (q.tags || []).some(tag => tags.includes(tag)));
+    if (matching.length === 0) return;
+
+    updateCurrentRound();
+    if (!state.originalBank) {
+        state.originalBank = { questions: state.questions, answersMap: state.answersMap };
+    }
+
+    // Fresh copies so the original bank keeps its own progress
+    state.questions = matching.map(q => {
+        const { status, userSelectedKeys, timeSpentMs, ...rest } = q;
+        return { ...rest, choices: q.choices.map(c => ({ ...c })) };
+    });
+    state.rounds.push({ round: state.rounds.length + 2, total: matching.length, recovered: 0, tags });
+
+    // Own copy of the answers, since shuffling remaps keys
+    state.answersMap = new Map(state.originalBank.answersMap);
+
+    updateRoundBanner();
+    stopExam();
+    applyShuffle();
+    processAndRender();
+    saveSession();
+    window.scrollTo({ top: elements.questionsContainer.offsetTop - 100, behavior: 'smooth' });
+}
+
+// --- Follow-up Questions ---
+// New questions aimed at the incorrect answers in the results, generated by generateFollowUpQuestions (gemini.js)
+
+function requestFollowUpQuestions() {
+    const wrongQs = state.questions.filter(q => q.status === 'incorrect');
+    if (wrongQs.length === 0) return;
+
+    hideResults();
+    generateFollowUpQuestions(wrongQs, elements.followUpMode.value);
+}
+
+/**
+ * Adds generated follow-up questions after the ones being practiced, or practices them as a round of their own.
+ * IDs get a per-set prefix so they can't collide with the bank's.
+ * @param {'append'|'round'} target
+ */
+function addFollowUpQuestions(questions, answerEntries, target) {
+    const namespace = `more${Date.now().toString(36)}`;
+    namespaceItems(questions, namespace);
+    namespaceItems(answerEntries, namespace);
+    questions.forEach(q => { q.source = 'Follow-up'; });
+    const answersMap = buildAnswersMap(answerEntries);
+
+    if (target === 'round') {
+        updateCurrentRound();
+        if (!state.originalBank) {
+            state.originalBank = { questions: state.questions, answersMap: state.answersMap };
+        }
+        state.questions = questions;
+        state.answersMap = answersMap;
+        state.rounds.push({ round: state.rounds.length + 2, total: questions.length, recovered: 0, followUp: true });
+
+        updateRoundBanner();
+        stopExam();
+        applyShuffle();
+        processAndRender();
+    } else {
+        // During a retry round the full bank gets its own copies, so going back keeps them too
+        if (state.originalBank) {
+            const offset = state.originalBank.questions.length;
+            state.originalBank.questions.push(...questions.map((q, index) => ({
+                ...q, number: String(offset + index + 1), choices: q.choices.map(c => ({ ...c }))
+            })));
+            answersMap.forEach((answer, id) => state.originalBank.answersMap.set(id, answer));
+        }
+
+        const offset = state.questions.length;
+        answersMap.forEach((answer, id) => state.answersMap.set(id, answer));
+        state.multipleSources = hasMultipleSources([...state.questions, ...questions]);
+        questions.forEach((q, index) => {
+            q.number = String(offset + index + 1);
+            if (state.settings.shuffleChoices) shuffleChoices(q);
+            QuizCore.matchAnswer(q, state.answersMap.get(q.id));
+            state.questions.push(q);
+            renderQuestion(q, state.questions.length - 1);
+        });
+        state.stats.total = state.questions.length;
+        updateScoreboard();
+    }
+
+    state.answerEntries = [...state.answerEntries, ...answerEntries];
+    renderTagFilter();
+    saveSession();
+    document.getElementById(`q-card-${questions[0].id}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
 function exportResults() {
+    const points = getPointsSummary();
     const data = {
         timestamp: new Date().toISOString(),
         stats: state.stats,
+        scoring: {
+            policy: state.settings.scoringPolicy,
+            negativeMarking: state.settings.negativeMarking,
+            passMark: state.settings.passMark,
+            points: points.earned,
+            maxPoints: points.totalMax,
+            passed: points.totalMax > 0 && (points.earned / points.totalMax) * 100 >= state.settings.passMark
+        },
         incorrectQuestions: state.questions
             .filter(q => q.status === 'incorrect')
             .map(q => ({
                 id: q.id,
-                text: q.text,
+                source: q.source,
+                tags: q.tags || [],
+                text: questionStem(q),
                 userSelected: q.userSelectedKeys,
                 correct: q.correctKeys,
-                explanation: q.explanation
-            }))
+                points: scoreSelection(q, q.userSelectedKeys || []),
+                maxPoints: q.weight || 1,
+                explanation: q.explanation,
+                timeSpentMs: q.timeSpentMs,
+                tutorChat: q.tutorChat
+            })),
+        topics: summarizeTopics(state.questions),
+        timeSpent: state.questions
+            .filter(q => q.timeSpentMs > 0)
+            .map(q => ({ id: q.id, source: q.source, status: q.status, timeSpentMs: q.timeSpentMs }))
     };
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadFile(`mcq-results-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+// Exports the whole bank (not just the current retry round) to an LMS format
+function exportBank() {
+    const bank = state.originalBank ? state.originalBank.questions : state.questions;
+    const questions = bank.filter(q => q.correctKeys && q.correctKeys.length > 0);
+    if (questions.length === 0) return;
+
+    const skipped = bank.length - questions.length;
+    if (skipped > 0 && !confirm(`${skipped} question(s) have no answer key and will be left out. Continue?`)) return;
+
+    const date = new Date().toISOString().slice(0, 10);
+    const format = elements.exportFormatSelect.value;
+    if (format === 'moodle') {
+        downloadFile(`mcq-bank-${date}.xml`, QuizExporters.toMoodleXml(questions), 'application/xml');
+    } else if (format === 'gift') {
+        downloadFile(`mcq-bank-${date}.gift`, QuizExporters.toGift(questions), 'text/plain');
+    } else {
+        downloadFile(`mcq-bank-${date}-qti21.zip`, QuizExporters.toQtiPackage(questions), 'application/zip');
+    }
+}
+
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `mcq-results-${new Date().toISOString().slice(0, 10)}.json`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
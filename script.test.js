@@ -0,0 +1,121 @@
+/**
+ * Tests for script.js: loads the page script against a minimal fake DOM and storage.
+ * Run with: node --test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const QuizCore = require('./quiz-core.js');
+
+// Just enough of an element for the startup code: classes, text, form values and listeners
+class FakeElement {
+    constructor(id = '', classes = []) {
+        this.id = id;
+        this.classes = new Set(classes);
+        this.classList = {
+            add: (...names) => names.forEach(name => this.classes.add(name)),
+            remove: (...names) => names.forEach(name => this.classes.delete(name)),
+            toggle: (name, force = !this.classes.has(name)) => {
+                if (force) this.classes.add(name); else this.classes.delete(name);
+                return force;
+            },
+            contains: name => this.classes.has(name)
+        };
+        this.style = {};
+        this.dataset = {};
+        this.textContent = '';
+        this.innerHTML = '';
+        this.value = '';
+        this.checked = false;
+        this.disabled = false;
+    }
+
+    addEventListener() {}
+    querySelector() { return new FakeElement(); }
+    querySelectorAll() { return []; }
+    appendChild(child) { return child; }
+}
+
+/**
+ * Runs script.js with the given saved session (undefined for none) and waits for the startup reads.
+ * @returns {{element: Function, warnings: Array, context: Object}} element(id) returns the fake element with that ID;
+ *   context runs code against the page's top-level declarations.
+ */
+async function startPage(savedSession) {
+    const elements = new Map();
+    const element = id => {
+        // The resume banner starts hidden, as in index.html
+        if (!elements.has(id)) elements.set(id, new FakeElement(id, id === 'resume-banner' ? ['hidden'] : []));
+        return elements.get(id);
+    };
+    const warnings = [];
+    const settings = new Map();
+
+    const context = vm.createContext({
+        console: { ...console, warn: (...args) => warnings.push(args.join(' ')) },
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        document: {
+            documentElement: new FakeElement('html'),
+            hidden: false,
+            getElementById: element,
+            createElement: () => new FakeElement(),
+            addEventListener() {}
+        },
+        window: { matchMedia: () => ({ matches: false }) },
+        localStorage: {
+            getItem: key => (settings.has(key) ? settings.get(key) : null),
+            setItem: (key, value) => settings.set(key, String(value))
+        },
+        QuizCore,
+        AppStorage: {
+            get: async (store, key) => (store === 'sessions' && key === 'current' ? savedSession : undefined),
+            put: async () => {},
+            delete: async () => {}
+        },
+        ReviewScheduler: { countDue: async () => ({ today: 0, tomorrow: 0 }) }
+    });
+
+    vm.runInContext(fs.readFileSync(path.join(__dirname, 'script.js'), 'utf8'), context, { filename: 'script.js' });
+    await new Promise(resolve => setImmediate(resolve));
+    return { element, warnings, context };
+}
+
+describe('startup', () => {
+    it('offers to resume a saved session', async () => {
+        const { element, warnings } = await startPage({
+            savedAt: Date.now(),
+            questions: [{ id: '1', status: 'correct' }, { id: '2', status: 'unanswered' }]
+        });
+
+        assert.deepEqual(warnings, []);
+        assert.equal(element('resume-banner').classList.contains('hidden'), false);
+        assert.match(element('resume-summary').textContent, /^2 questions, 1 answered \(saved /);
+    });
+
+    it('keeps the resume banner hidden without a saved session', async () => {
+        const { element, warnings } = await startPage(undefined);
+
+        assert.deepEqual(warnings, []);
+        assert.equal(element('resume-banner').classList.contains('hidden'), true);
+    });
+});
+
+describe('shuffling', () => {
+    it('keeps the choice order only when the explanation refers to a choice by letter', async () => {
+        const { context } = await startPage(undefined);
+        const mentionsChoice = text => vm.runInContext(`EXPLANATION_LETTER_REGEX.test(${JSON.stringify(text)})`, context);
+
+        for (const text of ['Option B is wrong.', 'The answer is (C).', 'Answer: A', 'choices A and D are both true', 'B) ignores the base case.']) {
+            assert.equal(mentionsChoice(text), true, text);
+        }
+        for (const text of ['Vitamin C prevents scurvy.', 'Hepatitis B is viral.', 'E[X] is the mean.', 'Type D personality', 'A common mistake is to add.']) {
+            assert.equal(mentionsChoice(text), false, text);
+        }
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Storage Module
+ * Small promise wrapper around IndexedDB used to keep sessions, review cards and progress history across reloads.
+ * Designed to be loaded via <script> tag for local file compatibility.
+ */
+
+const AppStorage = {
+    DB_NAME: 'mcq-trainer',
+    DB_VERSION: 3,
+
+    // Object stores created on upgrade. Options are passed to createObjectStore.
+    STORES: {
+        sessions: {},
+        reviews: { keyPath: 'hash' },
+        history: { keyPath: 'id', autoIncrement: true }
+    },
+
+    dbPromise: null,
+
+    /**
+     * Opens the database, creating any missing object stores.
+     * Resolves to null when IndexedDB is unavailable so callers can degrade gracefully.
+     */
+    open: function () {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(this.STORES).forEach(([name, options]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    },
+
+    /**
+     * Runs a single request against a store and resolves with its result.
+     * @param {string} storeName - Object store name.
+     * @param {string} mode - 'readonly' or 'readwrite'.
+     * @param {Function} action - Receives the store and returns an IDBRequest.
+     */
+    run: async function (storeName, mode, action) {
+        const db = await this.open();
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = action(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    get: function (storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    },
+
+    getAll: function (storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    },
+
+    put: function (storeName, value, key) {
+        return this.run(storeName, 'readwrite', store => key === undefined ? store.put(value) : store.put(value, key));
+    },
+
+    delete: function (storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+};